@@ -1,25 +1,77 @@
 import * as THREE from 'three';
 import { HitTestManager } from './hitTest.js';
-import { CubagemModule } from './cubagem.js';
-import { PickingModule } from './picking.js';
+import { DesktopViewer } from './desktopView.js';
+import { Box, getColorCSS, getColorName } from './box.js';
+import { getStackingRules } from './stacking.js';
+import { getStopColor } from './delivery.js';
+import { COLOR_SCHEMES } from './colorSchemes.js';
+import { CubagemModule, PALLET_TYPES } from './cubagem.js';
+import { PickingModule, TRUCK_PROFILES, TRUCK_SCALES } from './picking.js';
+import { parseManifest, expandManifest } from './manifest.js';
+import { planToJSON, planToCSV, planToReportHTML } from './export.js';
+import { History } from './history.js';
+import { BoxMeasurement } from './measure.js';
+import { MeasureMarkers } from './measureMarkers.js';
+import {
+    saveAutosave, loadAutosave, listPlans, savePlan, loadPlan, duplicatePlan, deletePlan,
+    savePreferences, loadPreferences
+} from './storage.js';
+import {
+    t, applyTranslations, getLanguage, setLanguage, resolveLanguage, getUnitSystem, setUnitSystem,
+    formatNumber, formatPercent, formatLength, formatVolume, formatMass,
+    LANGUAGE_NAMES, DEFAULT_LANGUAGE, UnitSystem
+} from './i18n.js';
 
 // ========== Estado ==========
 let renderer, scene, camera;
 let hitTestManager;
+let desktopViewer; // modo 3D sem AR: câmera orbital e raycasting do mouse
 let cubagemModule, pickingModule;
 let currentMode = 'cubagem';
 let xrSession = null;
 
+// Histórico de desfazer/refazer, um por modo
+const histories = { cubagem: new History(), picking: new History() };
+
+// Quantidade de caixas aleatórias geradas quando o Auto-arranjar não tem fila
+const AUTO_BATCH_SIZE = 10;
+
 // Raycaster para detecção de caixas a reposicionar
 const raycaster = new THREE.Raycaster();
 let removalCandidate = null; // { mesh, box } da caixa atualmente mirada
 
+// Medição de caixa real em AR (ver measure.js); null fora do modo de medição
+let measurement = null;
+let measureMarkers;
+
 // ========== DOM ==========
 const overlay         = document.getElementById('overlay');
 const btnStartAR      = document.getElementById('btn-start-ar');
+const btnStart3D      = document.getElementById('btn-start-3d');
 const btnNewBox       = document.getElementById('btn-new-box');
+const btnMeasure      = document.getElementById('btn-measure');
+const btnRotate       = document.getElementById('btn-rotate');
+const btnSuggest      = document.getElementById('btn-suggest');
 const btnPlace        = document.getElementById('btn-place');
 const btnReposition   = document.getElementById('btn-reposition');
+const btnSelect       = document.getElementById('btn-select');
+const btnSelectStack  = document.getElementById('btn-select-stack');
+const btnAuto         = document.getElementById('btn-auto');
+const btnManifest     = document.getElementById('btn-manifest');
+const manifestFile    = document.getElementById('manifest-file');
+const btnExport       = document.getElementById('btn-export');
+const exportMenu      = document.getElementById('export-menu');
+const btnExportJSON   = document.getElementById('btn-export-json');
+const btnExportCSV    = document.getElementById('btn-export-csv');
+const btnExportReport = document.getElementById('btn-export-report');
+const btnPlans        = document.getElementById('btn-plans');
+const plansPanel      = document.getElementById('plans-panel');
+const planNameInput   = document.getElementById('plan-name');
+const btnPlanSave     = document.getElementById('btn-plan-save');
+const plansList       = document.getElementById('plans-list');
+const btnDiscard      = document.getElementById('btn-discard');
+const btnUndo         = document.getElementById('btn-undo');
+const btnRedo         = document.getElementById('btn-redo');
 const btnMode       = document.getElementById('btn-mode');
 const btnReset      = document.getElementById('btn-reset');
 const hud           = document.getElementById('hud');
@@ -27,10 +79,112 @@ const controls      = document.getElementById('controls');
 const statusMsg     = document.getElementById('status-msg');
 const boxDims       = document.getElementById('box-dims');
 const boxVol        = document.getElementById('box-vol');
+const boxMass       = document.getElementById('box-mass');
+const boxHandling   = document.getElementById('box-handling');
 const boxColorInd   = document.getElementById('box-color-indicator');
 const countEl       = document.getElementById('count');
+const payloadEl     = document.getElementById('payload');
+const payloadMaxEl  = document.getElementById('payload-max');
+const pendingCountEl = document.getElementById('pending-count');
+const queueSelect   = document.getElementById('queue-select');
 const currentModeEl = document.getElementById('current-mode');
 const feedbackEl    = document.getElementById('feedback');
+const statUtil      = document.getElementById('stat-utilization');
+const statLoaded    = document.getElementById('stat-loaded');
+const statUsable    = document.getElementById('stat-usable');
+const statFree      = document.getElementById('stat-free');
+const statHeight    = document.getElementById('stat-height');
+const statColors    = document.getElementById('stat-colors');
+const statCog       = document.getElementById('stat-cog');
+const setupPanel    = document.getElementById('setup-panel');
+const palletSetup   = document.getElementById('pallet-setup');
+const palletType    = document.getElementById('pallet-type');
+const palletWidth   = document.getElementById('pallet-width');
+const palletDepth   = document.getElementById('pallet-depth');
+const palletMaxH    = document.getElementById('pallet-max-height');
+const palletOverhang = document.getElementById('pallet-overhang');
+const truckSetup    = document.getElementById('truck-setup');
+const truckProfile  = document.getElementById('truck-profile');
+const truckScale    = document.getElementById('truck-scale');
+const snapPanel     = document.getElementById('snap-panel');
+const btnAlign      = document.getElementById('btn-align');
+const btnUnload     = document.getElementById('btn-unload');
+const btnLoadPallet = document.getElementById('btn-load-pallet');
+const btnOpenPallet = document.getElementById('btn-open-pallet');
+const palletPanel   = document.getElementById('pallet-panel');
+const palletTitle   = document.getElementById('pallet-title');
+const palletContents = document.getElementById('pallet-contents');
+const stopInfo      = document.getElementById('stop-info');
+const stopInput     = document.getElementById('stop-input');
+const colorScheme   = document.getElementById('color-scheme');
+const colorLegend   = document.getElementById('color-legend');
+const statStops     = document.getElementById('stat-stops');
+const axleGauge     = document.getElementById('axle-gauge');
+const btnRules      = document.getElementById('btn-rules');
+const rulesPanel    = document.getElementById('rules-panel');
+const rulesList     = document.getElementById('rules-list');
+const alignPanel    = document.getElementById('align-panel');
+const snapEnabled   = document.getElementById('snap-enabled');
+const snapGrid      = document.getElementById('snap-grid');
+const snapGridSize  = document.getElementById('snap-grid-size');
+const languageSelect = document.getElementById('language-select');
+const unitSelect    = document.getElementById('unit-select');
+
+// ========== Idioma e unidades ==========
+const preferences = loadPreferences();
+setLanguage(preferences.language ?? resolveLanguage(navigator.language) ?? DEFAULT_LANGUAGE);
+setUnitSystem(preferences.unitSystem ?? UnitSystem.METRIC);
+
+// Refaz as opções de um select com rótulos traduzidos, mantendo a seleção
+function fillSelect(select, entries) {
+    const selected = select.value;
+    select.replaceChildren(...entries.map(([value, label]) => new Option(t(label), value)));
+    if (entries.some(([value]) => value === selected)) select.value = selected;
+}
+
+// Grade de encaixe em cm no sistema métrico (1 cm, 2,5 cm...)
+function snapGridLabel(size) {
+    if (getUnitSystem() === UnitSystem.IMPERIAL) return formatLength(size);
+    const cm = size * 100;
+    return `${formatNumber(cm, Number.isInteger(cm) ? 0 : 1)} cm`;
+}
+
+function renderSelectOptions() {
+    fillSelect(palletType, Object.entries(PALLET_TYPES).map(([key, { label }]) => [key, label]));
+    fillSelect(truckProfile, Object.entries(TRUCK_PROFILES).map(([key, { label }]) => [key, label]));
+    fillSelect(truckScale, Object.entries(TRUCK_SCALES));
+    fillSelect(colorScheme, Object.entries(COLOR_SCHEMES).map(([value, { label }]) => [value, label]));
+    fillSelect(unitSelect, Object.values(UnitSystem).map(system => [system, `units.${system}`]));
+    for (const option of snapGridSize.options) option.textContent = snapGridLabel(parseFloat(option.value));
+}
+
+// Textos estáticos, opções e painéis abertos no idioma e unidades atuais
+function applyLocale() {
+    document.documentElement.lang = getLanguage();
+    applyTranslations(document);
+    renderSelectOptions();
+    languageSelect.value = getLanguage();
+    unitSelect.value = getUnitSystem();
+    if (!cubagemModule) return;
+    cubagemModule.refreshColors();
+    pickingModule.refreshColors();
+    renderModeLabels();
+    renderMeasureButton();
+    if (measurement) statusMsg.textContent = measurement.getPrompt();
+    updateHUD(getActiveModule().currentBox);
+    updateStats();
+    if (!rulesPanel.classList.contains('hidden')) renderRulesPanel();
+    if (!plansPanel.classList.contains('hidden')) renderPlansList();
+}
+
+function saveLocalePreferences() {
+    savePreferences({ language: getLanguage(), unitSystem: getUnitSystem() });
+}
+
+for (const [code, name] of Object.entries(LANGUAGE_NAMES)) {
+    languageSelect.add(new Option(name, code));
+}
+applyLocale();
 
 // ========== Inicialização Three.js ==========
 function initThreeJS() {
@@ -49,9 +203,21 @@ function initThreeJS() {
     scene.add(dirLight);
 
     hitTestManager = new HitTestManager(renderer, scene);
+    desktopViewer  = new DesktopViewer(renderer, scene, camera);
+    desktopViewer.onClick = () => btnPlace.click();
     cubagemModule  = new CubagemModule(scene);
     pickingModule  = new PickingModule(scene);
     cubagemModule.activate();
+    measureMarkers = new MeasureMarkers();
+    scene.add(measureMarkers.group);
+
+    // Estatísticas recalculadas sempre que a carga do módulo ativo muda
+    const onModuleChange = (module) => {
+        if (module === getActiveModule()) updateStats();
+        autosave();
+    };
+    cubagemModule.onChange = onModuleChange;
+    pickingModule.onChange = onModuleChange;
 
     window.addEventListener('resize', () => {
         camera.aspect = window.innerWidth / window.innerHeight;
@@ -62,10 +228,18 @@ function initThreeJS() {
 
 // ========== WebXR ==========
 async function startARSession() {
-    if (!navigator.xr) { showFeedback('WebXR não suportado!', 'error'); return; }
+    if (!navigator.xr) {
+        showFeedback(t('feedback.webxrUnsupported'), 'error');
+        startDesktopSession();
+        return;
+    }
 
     const supported = await navigator.xr.isSessionSupported('immersive-ar');
-    if (!supported) { showFeedback('AR não suportado neste dispositivo!', 'error'); return; }
+    if (!supported) {
+        showFeedback(t('feedback.arUnsupported'), 'error');
+        startDesktopSession();
+        return;
+    }
 
     try {
         xrSession = await navigator.xr.requestSession('immersive-ar', {
@@ -78,43 +252,87 @@ async function startARSession() {
         await renderer.xr.setSession(xrSession);
         await hitTestManager.requestHitTestSource(xrSession);
 
-        btnStartAR.classList.add('hidden');
-        hud.classList.remove('hidden');
-        controls.classList.remove('hidden');
-        statusMsg.textContent = 'Aponte para uma superfície plana';
+        showSessionUI();
+        statusMsg.textContent = t('status.aimSurface');
 
-        renderer.setAnimationLoop(onXRFrame);
+        renderer.setAnimationLoop(onFrame);
         xrSession.addEventListener('end', onSessionEnd);
+        // Toque na tela (fora dos botões) marca o ponto da medição ou gira a caixa em mão
+        xrSession.addEventListener('select', () => {
+            if (measurement) captureMeasurePoint();
+            else rotateCurrentBox();
+        });
     } catch (err) {
-        showFeedback(`Erro: ${err.message}`, 'error');
+        showFeedback(t('feedback.error', { error: err.message }), 'error');
     }
 }
 
+// Modo 3D sem AR: mesma cena com câmera orbital; o mouse faz o papel do hit test
+function startDesktopSession() {
+    desktopViewer.enable();
+    showSessionUI();
+    statusMsg.textContent = t('status.desktopStart');
+    renderer.setAnimationLoop(onFrame);
+}
+
+function showSessionUI() {
+    btnStartAR.classList.add('hidden');
+    btnStart3D.classList.add('hidden');
+    hud.classList.remove('hidden');
+    controls.classList.remove('hidden');
+    snapPanel.classList.remove('hidden');
+    updateSetupPanel();
+    updateStats();
+}
+
 function onSessionEnd() {
     xrSession = null;
+    endMeasurement();
     btnStartAR.classList.remove('hidden');
+    btnStart3D.classList.remove('hidden');
     hud.classList.add('hidden');
     controls.classList.add('hidden');
-    statusMsg.textContent = 'Sessão encerrada. Toque para reiniciar.';
+    exportMenu.classList.add('hidden');
+    plansPanel.classList.add('hidden');
+    rulesPanel.classList.add('hidden');
+    palletPanel.classList.add('hidden');
+    alignPanel.classList.add('hidden');
+    setupPanel.classList.add('hidden');
+    snapPanel.classList.add('hidden');
+    statusMsg.textContent = t('status.sessionEnded');
     renderer.setAnimationLoop(null);
 }
 
-// ========== Loop de Renderização ==========
-function onXRFrame(_timestamp, frame) {
-    if (!frame) return;
+// Toques nos controles do overlay não devem gerar eventos 'select' da sessão XR
+overlay.addEventListener('beforexrselect', (e) => e.preventDefault());
+
+// Fonte de "hit" ativa: hit test do WebXR ou raio do mouse no modo 3D
+function getHitSource() {
+    return xrSession ? hitTestManager : desktopViewer;
+}
 
-    const refSpace = renderer.xr.getReferenceSpace();
-    hitTestManager.update(frame, refSpace);
+// ========== Loop de Renderização ==========
+function onFrame(_timestamp, frame) {
+    if (xrSession) {
+        if (!frame) return;
+        hitTestManager.update(frame, renderer.xr.getReferenceSpace());
+    } else {
+        desktopViewer.update();
+    }
 
+    const hitSource = getHitSource();
     const module  = getActiveModule();
     const placed  = isContainerPlaced();
 
-    if (placed) {
-        if (module.currentBox) {
-            // Preview da nova caixa segue onde a câmera aponta
+    if (measurement) {
+        // Medindo: o hit só move o retículo; o status mostra o próximo toque
+        clearRemovalCandidate();
+    } else if (placed) {
+        if (module.currentBox || module.currentGroup) {
+            // Preview da nova caixa (ou do grupo em mão) segue onde a câmera aponta
             clearRemovalCandidate();
-            if (hitTestManager.isHitDetected()) {
-                module.updatePreviewFromWorld(hitTestManager.getHitPosition());
+            if (hitSource.isHitDetected()) {
+                module.updatePreviewFromWorld(hitSource.getHitPosition());
             }
         } else {
             // Sem caixa em mão: raycasting para realçar caixa mirada
@@ -122,11 +340,12 @@ function onXRFrame(_timestamp, frame) {
         }
     } else {
         clearRemovalCandidate();
-        if (hitTestManager.isHitDetected()) {
-            statusMsg.textContent = 'Superfície detectada! Toque "Posicionar" para colocar ' +
-                (currentMode === 'cubagem' ? 'o palete.' : 'a caçamba.');
+        if (hitSource.isHitDetected()) {
+            statusMsg.textContent = t(currentMode === 'cubagem'
+                ? 'status.surfaceDetectedPallet'
+                : 'status.surfaceDetectedTruck');
         } else {
-            statusMsg.textContent = 'Aponte para uma superfície plana...';
+            statusMsg.textContent = t(xrSession ? 'status.searchingSurface' : 'status.moveMouse');
         }
     }
 
@@ -135,16 +354,23 @@ function onXRFrame(_timestamp, frame) {
 
 // ========== Raycasting para Reposicionamento ==========
 function updateRemovalCandidate(module) {
-    const xrCam = renderer.xr.getCamera();
-    const origin = new THREE.Vector3();
-    const direction = new THREE.Vector3();
-    xrCam.getWorldPosition(origin);
-    xrCam.getWorldDirection(direction);
-    raycaster.set(origin, direction);
+    let aiming = true;
+    if (xrSession) {
+        // AR: raio do centro da câmera
+        const xrCam = renderer.xr.getCamera();
+        const origin = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        xrCam.getWorldPosition(origin);
+        xrCam.getWorldDirection(direction);
+        raycaster.set(origin, direction);
+    } else {
+        // Modo 3D: raio do ponteiro do mouse
+        aiming = desktopViewer.getAimRay(raycaster);
+    }
 
     const meshes = module.getAllMeshes();
     // Raycasta recursivamente para pegar filhos (wireframe está dentro do mesh)
-    const hits = raycaster.intersectObjects(meshes, false);
+    const hits = aiming ? raycaster.intersectObjects(meshes, false) : [];
 
     const hitMesh = hits.length > 0 ? hits[0].object : null;
 
@@ -159,10 +385,9 @@ function updateRemovalCandidate(module) {
     if (hitMesh && hitMesh.userData.box) {
         removalCandidate = { mesh: hitMesh, box: hitMesh.userData.box };
         hitMesh.userData.box.setRemovalHighlight(true);
-        statusMsg.textContent =
-            `Mirando caixa ${hitMesh.userData.box.getColorName()} — toque "Reposicionar" para mover.`;
+        statusMsg.textContent = t('status.aimingBox', { color: hitMesh.userData.box.getColorName() });
     } else if (!removalCandidate) {
-        statusMsg.textContent = 'Aponte para uma caixa para reposicioná-la ou gere uma nova.';
+        statusMsg.textContent = t('status.aimBoxOrNew');
     }
 }
 
@@ -185,6 +410,420 @@ function isContainerPlaced() {
         : pickingModule.isTruckPlaced();
 }
 
+// Painel de estatísticas de ocupação do container ativo
+function updateStats() {
+    const stats = getActiveModule().getStats();
+
+    statUtil.textContent   = formatPercent(stats.utilization);
+    statLoaded.textContent = formatVolume(stats.loadedVolume);
+    statUsable.textContent = formatVolume(stats.usableVolume);
+    statFree.textContent   = formatVolume(stats.freeVolume);
+    statHeight.textContent = formatLength(stats.stackHeight);
+
+    statColors.replaceChildren(...Object.entries(stats.byColor).map(([category, group]) => {
+        const item = document.createElement('span');
+        const dot = document.createElement('span');
+        dot.className = 'stat-color-dot';
+        dot.style.backgroundColor = getColorCSS(category);
+        item.append(dot, `${getColorName(category)}: ${group.count} (${formatVolume(group.volume)})`);
+        return item;
+    }));
+
+    // Resumo por parada de entrega (só no picking)
+    const stops = currentMode === 'picking' ? pickingModule.getStopSummary() : [];
+    statStops.classList.toggle('hidden', !stops.some(group => group.stop !== null));
+    statStops.replaceChildren(...stops.map(group => {
+        const item = document.createElement('span');
+        const dot = document.createElement('span');
+        dot.className = 'stat-color-dot';
+        dot.style.backgroundColor = group.stop === null ? 'transparent' : getStopColor(group.stop);
+        const name = group.stop === null ? t('delivery.noStop') : t('delivery.stop', { stop: group.stop });
+        item.append(dot, `${name}: ${group.count} (${formatMass(group.mass)})`);
+        return item;
+    }));
+
+    const cog = stats.centerOfGravity;
+    statCog.textContent = cog
+        ? ['x', 'y', 'z'].map(axis => `${axis} ${formatLength(cog[axis])}`).join(' · ')
+        : '--';
+
+    updateAxleGauge();
+    renderColorLegend();
+}
+
+// Legenda do esquema de cores do módulo ativo
+function renderColorLegend() {
+    const module = getActiveModule();
+    colorScheme.value = module.colorScheme;
+    colorLegend.replaceChildren(...module.getColorLegend().map(({ color, label }) => {
+        const item = document.createElement('span');
+        const dot = document.createElement('span');
+        dot.className = 'stat-color-dot';
+        dot.style.backgroundColor = color ?? 'transparent';
+        item.append(dot, label);
+        return item;
+    }));
+}
+
+// Medidor de carga por eixo e CG da caçamba (só no picking)
+function updateAxleGauge() {
+    axleGauge.classList.toggle('hidden', currentMode !== 'picking');
+    if (currentMode !== 'picking') return;
+
+    const loads = pickingModule.getAxleLoads();
+    const setAxle = (name, load, max) => {
+        const bar = document.getElementById(`axle-${name}-bar`);
+        bar.style.width = `${Math.min(100, Math.max(0, load / max * 100)).toFixed(0)}%`;
+        bar.classList.toggle('over', load > max);
+        document.getElementById(`axle-${name}`).textContent = formatMass(load, 0);
+        document.getElementById(`axle-${name}-max`).textContent = formatMass(max, 0);
+    };
+    setAxle('front', loads.front, loads.frontMax);
+    setAxle('rear', loads.rear, loads.rearMax);
+
+    document.getElementById('axle-cog-long').textContent = loads.cog
+        ? t('axle.fromFront', { distance: formatLength(loads.longitudinal) })
+        : '--';
+    document.getElementById('axle-cog-lat').textContent = loads.cog
+        ? `${loads.lateral >= 0 ? '+' : ''}${formatLength(loads.lateral)}`
+        : '--';
+    document.getElementById('axle-issues').textContent = loads.issues.join(' ');
+    axleGauge.classList.toggle('out', !loads.withinEnvelope);
+}
+
+// Painel de configuração do container: visível apenas antes de posicioná-lo
+function updateSetupPanel() {
+    const placed = isContainerPlaced();
+    const showPallet = currentMode === 'cubagem' && !placed;
+    const showTruck  = currentMode === 'picking' && !placed;
+    palletSetup.classList.toggle('hidden', !showPallet);
+    truckSetup.classList.toggle('hidden', !showTruck);
+    setupPanel.classList.toggle('hidden', !showPallet && !showTruck);
+    if (!placed) alignPanel.classList.add('hidden');
+}
+
+function applyTruckConfig() {
+    return pickingModule.configureTruck({
+        profile: truckProfile.value,
+        scale: parseFloat(truckScale.value)
+    });
+}
+
+function applyPalletConfig() {
+    return cubagemModule.configurePallet({
+        type: palletType.value,
+        width: parseFloat(palletWidth.value),
+        depth: parseFloat(palletDepth.value),
+        maxStackHeight: parseFloat(palletMaxH.value),
+        overhang: parseFloat(palletOverhang.value) || 0
+    });
+}
+
+// Mesmo encaixe nos dois módulos
+function applySnapConfig() {
+    const settings = {
+        enabled: snapEnabled.checked,
+        grid: snapGrid.checked,
+        gridSize: parseFloat(snapGridSize.value)
+    };
+    cubagemModule.configureSnap(settings);
+    pickingModule.configureSnap(settings);
+}
+
+// ========== Regras de empilhamento ==========
+// Pares de categorias no campo de texto: "alimento:quimico; vidro:metal"
+function formatPairs(pairs) {
+    return pairs.map(pair => pair.join(':')).join('; ');
+}
+
+function parsePairs(text) {
+    return text.split(';')
+        .map(pair => pair.split(':').map(c => c.trim()))
+        .filter(pair => pair.length === 2 && pair[0] && pair[1]);
+}
+
+function applyRuleChange(ruleId, values) {
+    const result = getActiveModule().configureRules({ [ruleId]: values });
+    if (!result.success) {
+        showFeedback(result.message, 'error');
+        renderRulesPanel();
+        return;
+    }
+    autosave();
+}
+
+// Painel montado a partir do registro de regras e da configuração do módulo ativo
+function renderRulesPanel() {
+    const config = getActiveModule().stackingRules;
+
+    rulesList.replaceChildren(...getStackingRules().map(rule => {
+        const values = config[rule.id];
+        const item = document.createElement('li');
+
+        const toggle = document.createElement('label');
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = values.enabled;
+        check.addEventListener('change', () => applyRuleChange(rule.id, { enabled: check.checked }));
+        toggle.append(check, ` ${t(rule.label)}`);
+        item.append(toggle);
+
+        for (const [param, defaultValue] of Object.entries(rule.params)) {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            if (Array.isArray(defaultValue)) {
+                input.type = 'text';
+                input.value = formatPairs(values[param]);
+                input.addEventListener('change', () =>
+                    applyRuleChange(rule.id, { [param]: parsePairs(input.value) }));
+            } else {
+                input.type = 'number';
+                input.step = Number.isInteger(defaultValue) ? '1' : '0.01';
+                input.value = values[param];
+                input.addEventListener('change', () =>
+                    applyRuleChange(rule.id, { [param]: parseFloat(input.value) }));
+            }
+            label.append(`${t(rule.paramLabels?.[param] ?? param)} `, input);
+            item.append(label);
+        }
+        return item;
+    }));
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Nome base dos arquivos exportados: modo + data/hora
+function exportBaseName() {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    return `plano-${currentMode}-${stamp}`;
+}
+
+// ========== Histórico ==========
+// Executa uma ação no módulo ativo e a registra no histórico se tiver sucesso.
+// label é a chave de messages.js, traduzida ao desfazer/refazer.
+function runRecorded(label, action) {
+    const module = getActiveModule();
+    const before = module.createMemento();
+    const result = action(module);
+    if (result.success) {
+        histories[currentMode].record(label, before, module.createMemento());
+        updateHistoryButtons();
+    }
+    return result;
+}
+
+/**
+ * Registra uma ação que muda os dois módulos (fechar palete e pô-lo na fila do
+ * picking) nos dois históricos, com o mesmo transfer: { cubagem, picking }, cada
+ * um com os mementos before e after do módulo.
+ */
+function recordTransfer(label, before) {
+    const transfer = {
+        cubagem: { before: before.cubagem, after: cubagemModule.createMemento() },
+        picking: { before: before.picking, after: pickingModule.createMemento() }
+    };
+    for (const mode of ['cubagem', 'picking']) {
+        histories[mode].record(label, transfer[mode].before, transfer[mode].after, { transfer });
+    }
+    updateHistoryButtons();
+}
+
+// Desfaz (step 'undo') ou refaz ('redo') uma transferência: só quando ela é a
+// próxima entrada nos dois históricos, para nenhum módulo perder ações posteriores
+function stepTransfer(step) {
+    const peek = step === 'undo' ? 'peekUndo' : 'peekRedo';
+    const { transfer, label } = histories[currentMode][peek]();
+    if (histories.cubagem[peek]()?.transfer !== transfer || histories.picking[peek]()?.transfer !== transfer) {
+        showFeedback(t('history.transferBlocked'), 'error');
+        return;
+    }
+
+    histories.cubagem[step]();
+    histories.picking[step]();
+    const side = step === 'undo' ? 'before' : 'after';
+    cubagemModule.restoreMemento(transfer.cubagem[side]);
+    pickingModule.restoreMemento(transfer.picking[side]);
+    afterHistoryChange(t(step === 'undo' ? 'history.undone' : 'history.redone', { action: t(label) }));
+}
+
+function updateHistoryButtons() {
+    btnUndo.disabled = !histories[currentMode].canUndo() && !measurement?.points.length;
+    btnRedo.disabled = !histories[currentMode].canRedo();
+}
+
+function clearHistories() {
+    histories.cubagem.clear();
+    histories.picking.clear();
+    updateHistoryButtons();
+}
+
+function afterHistoryChange(message) {
+    const module = getActiveModule();
+    clearRemovalCandidate();
+    updateHUD(module.currentBox);
+    updateSetupPanel();
+    updateHistoryButtons();
+    showFeedback(message, 'success');
+    statusMsg.textContent = t(module.currentBox
+        ? 'status.aimAndPlace'
+        : isContainerPlaced()
+            ? 'status.newBoxOrRemove'
+            : 'status.aimSurfaceAndPlace');
+}
+
+// Botão de troca e rótulo do modo atual
+function renderModeLabels() {
+    const picking = currentMode === 'picking';
+    btnMode.textContent = t(picking ? 'controls.modeCubagem' : 'controls.modePicking');
+    currentModeEl.textContent = t(picking ? 'mode.picking' : 'mode.cubagem');
+}
+
+function setMode(mode) {
+    currentMode = mode;
+    if (mode === 'picking') {
+        cubagemModule.deactivate();
+        pickingModule.activate();
+        stopInfo.classList.remove('hidden');
+        btnUnload.classList.remove('hidden');
+        btnOpenPallet.classList.remove('hidden');
+        btnLoadPallet.classList.add('hidden');
+    } else {
+        pickingModule.deactivate();
+        cubagemModule.activate();
+        stopInfo.classList.add('hidden');
+        btnUnload.classList.add('hidden');
+        btnOpenPallet.classList.add('hidden');
+        btnLoadPallet.classList.remove('hidden');
+        palletPanel.classList.add('hidden');
+    }
+
+    renderModeLabels();
+    updateHUD(null);
+    updateSetupPanel();
+    updateStats();
+    updateHistoryButtons();
+    if (!rulesPanel.classList.contains('hidden')) renderRulesPanel();
+}
+
+// ========== Persistência ==========
+function getAppState() {
+    return {
+        mode: currentMode,
+        snap: { enabled: snapEnabled.checked, grid: snapGrid.checked, gridSize: snapGridSize.value },
+        cubagem: cubagemModule.serialize(),
+        picking: pickingModule.serialize()
+    };
+}
+
+// Pausado enquanto um estado é aplicado: os resets intermediários não vão para o salvamento
+let autosavePaused = false;
+
+function autosave() {
+    if (cubagemModule && pickingModule && !autosavePaused) saveAutosave(getAppState());
+}
+
+/**
+ * Aplica um estado salvo e o grava como salvamento automático. Se ele estiver
+ * corrompido, volta ao estado anterior sem tocar no salvamento; retorna false.
+ */
+function applyAppState(state) {
+    const previous = getAppState();
+    autosavePaused = true;
+    try {
+        restoreAppState(state);
+    } catch (err) {
+        restoreAppState(previous);
+        showFeedback(t('feedback.restoreFailed', { error: err.message }), 'error');
+        return false;
+    } finally {
+        autosavePaused = false;
+    }
+    autosave();
+    return true;
+}
+
+// Restaura os dois módulos; as caixas reaparecem quando cada container for reposicionado
+function restoreAppState(state) {
+    clearRemovalCandidate();
+    cubagemModule.restore(state.cubagem);
+    pickingModule.restore(state.picking);
+    clearHistories();
+    syncSetupInputs();
+    if (state.snap) {
+        snapEnabled.checked = state.snap.enabled;
+        snapGrid.checked = state.snap.grid;
+        snapGridSize.value = state.snap.gridSize;
+        applySnapConfig();
+    }
+    setMode(state.mode === 'picking' ? 'picking' : 'cubagem');
+    statusMsg.textContent = t('status.planRestored');
+}
+
+// Reflete a configuração dos módulos nos campos do painel de configuração
+function syncSetupInputs() {
+    const pallet = cubagemModule.serialize().container;
+    palletType.value = pallet.type;
+    palletWidth.value = pallet.width.toFixed(2);
+    palletDepth.value = pallet.depth.toFixed(2);
+    palletMaxH.value = pallet.maxStackHeight.toFixed(2);
+    palletOverhang.value = pallet.overhang.toFixed(2);
+    palletType.dispatchEvent(new Event('change'));
+
+    const truck = pickingModule.serialize().container;
+    truckProfile.value = truck.profile;
+    truckScale.value = String(truck.scale);
+}
+
+function renderPlansList() {
+    const plans = listPlans();
+    if (plans.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = t('plans.none');
+        plansList.replaceChildren(empty);
+        return;
+    }
+
+    plansList.replaceChildren(...plans.map(({ id, name, savedAt }) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${name} — ${new Date(savedAt).toLocaleString(getLanguage())}`;
+
+        const makeButton = (text, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-small';
+            btn.textContent = text;
+            btn.addEventListener('click', onClick);
+            return btn;
+        };
+
+        item.append(
+            label,
+            makeButton(t('plans.open'), () => {
+                const state = loadPlan(id);
+                if (!state || !applyAppState(state)) return;
+                plansPanel.classList.add('hidden');
+                showFeedback(t('plans.opened', { name }), 'success');
+            }),
+            makeButton(t('plans.duplicate'), () => {
+                duplicatePlan(id);
+                renderPlansList();
+            }),
+            makeButton(t('plans.delete'), () => {
+                deletePlan(id);
+                renderPlansList();
+            })
+        );
+        return item;
+    }));
+}
+
 function showFeedback(msg, type = 'success') {
     feedbackEl.textContent = msg;
     feedbackEl.className = type;
@@ -195,123 +834,580 @@ function showFeedback(msg, type = 'success') {
     setTimeout(() => feedbackEl.classList.add('hidden'), 2500);
 }
 
+function rotateCurrentBox() {
+    const module = getActiveModule();
+    if (!module.currentBox) return;
+
+    const result = module.rotateCurrentBox();
+    if (result.success) {
+        updateHUD(module.currentBox);
+        statusMsg.textContent = `${result.message} — ${module.currentBox.getDimsText()}`;
+    }
+}
+
 function updateHUD(box) {
     boxDims.textContent = box ? box.getDimsText()   : '--';
     boxVol.textContent  = box ? box.getVolumeText() : '--';
+    boxMass.textContent = box ? box.getMassText()   : '--';
+    boxHandling.textContent = box ? box.getHandlingText() : '';
+    stopInput.value = box?.stop ?? '';
     boxColorInd.style.backgroundColor = box ? box.getCSSColor() : 'transparent';
     boxColorInd.title   = box ? box.getColorName()  : '';
-    countEl.textContent = getActiveModule().getBoxCount();
+    renderColorLegend();
+    updateCounters();
+}
+
+// Contagem de caixas e carga total do container ativo
+function updateCounters() {
+    const module = getActiveModule();
+    countEl.textContent      = module.getBoxCount();
+    payloadEl.textContent    = formatMass(module.getTotalMass());
+    payloadMaxEl.textContent = formatMass(module.maxPayload, 0);
+    updateQueue();
+}
+
+// Fila de pendentes (manifesto): contagem e seletor de SKU
+function updateQueue() {
+    const module = getActiveModule();
+    const selected = queueSelect.value;
+    pendingCountEl.textContent = module.getPendingCount();
+
+    const options = [new Option(t('hud.queueNext'), '')];
+    for (const { sku, description, count } of module.getPendingSummary()) {
+        if (!sku) continue;
+        const label = `${sku}${description ? ' — ' + description : ''} (${count})`;
+        options.push(new Option(label, sku));
+    }
+    queueSelect.replaceChildren(...options);
+    queueSelect.value = options.some(o => o.value === selected) ? selected : '';
 }
 
 // ========== Botões ==========
-btnStartAR.addEventListener('click', () => {
+for (const input of [snapEnabled, snapGrid, snapGridSize]) {
+    input.addEventListener('change', () => {
+        if (!cubagemModule) return;
+        applySnapConfig();
+        autosave();
+    });
+}
+
+languageSelect.addEventListener('change', () => {
+    setLanguage(languageSelect.value);
+    saveLocalePreferences();
+    applyLocale();
+});
+
+unitSelect.addEventListener('change', () => {
+    setUnitSystem(unitSelect.value);
+    saveLocalePreferences();
+    applyLocale();
+});
+
+palletType.addEventListener('change', () => {
+    const custom = palletType.value === 'CUSTOM';
+    document.querySelectorAll('.pallet-custom')
+        .forEach(el => el.classList.toggle('hidden', !custom));
+});
+
+// Cena e módulos sobrevivem ao fim da sessão XR; só são criados na primeira vez
+function ensureInitialized() {
+    if (renderer) return;
     initThreeJS();
+    const saved = loadAutosave();
+    if (saved && applyAppState(saved)) {
+        showFeedback(t('feedback.sessionRestored'), 'success');
+    }
+}
+
+btnStartAR.addEventListener('click', () => {
+    ensureInitialized();
     startARSession();
 });
 
+btnStart3D.addEventListener('click', () => {
+    ensureInitialized();
+    startDesktopSession();
+});
+
+// Modo 3D: tecla R gira a caixa em mão (fora de campos de texto)
+window.addEventListener('keydown', (e) => {
+    if (xrSession || !desktopViewer || !desktopViewer.enabled) return;
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+    if (e.key === 'r' || e.key === 'R') rotateCurrentBox();
+});
+
 btnNewBox.addEventListener('click', () => {
     if (!isContainerPlaced()) {
-        showFeedback(
-            'Posicione o ' + (currentMode === 'cubagem' ? 'palete' : 'caminhão') + ' primeiro!',
-            'error'
-        );
+        showFeedback(t(currentMode === 'cubagem' ? 'pallet.placeFirst' : 'truck.placeFirst'), 'error');
         return;
     }
     clearRemovalCandidate();
     const module = getActiveModule();
-    const box = module.generateNewBox();
+    const result = module.generateNewBox(queueSelect.value || null);
+    if (!result.success) {
+        showFeedback(result.message, 'error');
+        updateQueue();
+        return;
+    }
+    const { box } = result;
     updateHUD(box);
-    statusMsg.textContent = `Caixa ${box.getColorName()} (${box.getVolumeText()}) — aponte onde quer colocar e toque "Posicionar".`;
+    const label = box.sku ? `${box.sku} — ` : '';
+    statusMsg.textContent = label + result.message;
+});
+
+// ========== Medição em AR ==========
+// Toques nos cantos da base e no topo de uma caixa real viram uma Box com as
+// dimensões medidas; a incerteza aparece antes de a caixa ir para a mão.
+function renderMeasureButton() {
+    btnMeasure.textContent = t(!measurement
+        ? 'controls.measure'
+        : measurement.isComplete() ? 'controls.useMeasure' : 'controls.cancelMeasure');
+}
+
+function updateMeasurement() {
+    measureMarkers.update(measurement ? measurement.points : []);
+    renderMeasureButton();
+    updateHistoryButtons();
+    if (measurement) statusMsg.textContent = measurement.getPrompt();
+}
+
+function endMeasurement() {
+    measurement = null;
+    if (measureMarkers) updateMeasurement();
+}
+
+function cancelMeasurement() {
+    endMeasurement();
+    showFeedback(t('measure.cancelled'), 'success');
+    statusMsg.textContent = t('status.aimBoxOrNew');
+}
+
+function captureMeasurePoint() {
+    const pos = hitTestManager.getHitPosition();
+    if (!pos) { showFeedback(t('feedback.noSurface'), 'error'); return; }
+
+    const result = measurement.addPoint(pos);
+    if (!result.success) { showFeedback(result.message, 'error'); return; }
+    updateMeasurement();
+}
+
+// A caixa medida vai para a mão como uma nova caixa
+function useMeasurement() {
+    if (!isContainerPlaced()) {
+        showFeedback(t(currentMode === 'cubagem' ? 'pallet.placeFirst' : 'truck.placeFirst'), 'error');
+        return;
+    }
+    const { width, height, depth } = measurement.result;
+    const box = getActiveModule().holdBox(new Box(width, height, depth));
+    endMeasurement();
+    updateHUD(box);
+    showFeedback(t('measure.boxCreated'), 'success');
+    statusMsg.textContent = t('status.boxInHand', { color: box.getColorName(), volume: box.getVolumeText() });
+}
+
+btnMeasure.addEventListener('click', () => {
+    if (measurement?.isComplete()) {
+        useMeasurement();
+    } else if (measurement) {
+        cancelMeasurement();
+    } else if (!xrSession) {
+        // Sem AR não há superfícies reais: o mouse só acerta o piso virtual
+        showFeedback(t('measure.arOnly'), 'error');
+    } else {
+        clearRemovalCandidate();
+        measurement = new BoxMeasurement();
+        updateMeasurement();
+    }
+});
+
+// ========== Entregas (multi-drop) ==========
+stopInput.addEventListener('change', () => {
+    const value = stopInput.value.trim();
+    const result = pickingModule.setCurrentBoxStop(value === '' ? null : Number(value));
+    if (!result.success) showFeedback(result.message, 'error');
+    updateHUD(pickingModule.currentBox);
+});
+
+colorScheme.addEventListener('change', () => {
+    const result = getActiveModule().setColorScheme(colorScheme.value);
+    showFeedback(result.message, result.success ? 'success' : 'error');
+    renderColorLegend();
+});
+
+btnUnload.addEventListener('click', () => {
+    clearRemovalCandidate();
+    const result = runRecorded('history.unloadStop', m => m.unloadNextStop());
+    showFeedback(result.message, result.success ? 'success' : 'error');
+    statusMsg.textContent = result.success
+        ? t('delivery.undoHint', { message: result.message })
+        : result.message;
+    updateCounters();
+});
+
+// Fecha o palete da Cubagem e o coloca na fila do caminhão como uma unidade.
+// A transferência envolve os dois módulos: entra nos dois históricos (ver recordTransfer).
+btnLoadPallet.addEventListener('click', () => {
+    clearRemovalCandidate();
+    const before = { cubagem: cubagemModule.createMemento(), picking: pickingModule.createMemento() };
+    const result = cubagemModule.takePalletLoad();
+    if (!result.success) { showFeedback(result.message, 'error'); return; }
+
+    pickingModule.addPendingBoxes([result.unit]);
+    recordTransfer('history.loadPallet', before);
+    updateHUD(null);
+    updateSetupPanel();
+    updateCounters();
+    autosave();
+    showFeedback(t('pallet.queuedInTruck', { message: result.message }), 'success');
+    statusMsg.textContent = t('status.palletQueued');
+});
+
+btnOpenPallet.addEventListener('click', () => {
+    if (!removalCandidate) {
+        showFeedback(t('pallet.aimAtLoaded'), 'error');
+        return;
+    }
+    const result = pickingModule.togglePalletOpen(removalCandidate.mesh);
+    if (!result.success) { showFeedback(result.message, 'error'); return; }
+
+    palletPanel.classList.toggle('hidden', !result.open);
+    if (result.open) {
+        const unit = removalCandidate.box;
+        palletTitle.textContent = `${unit.sku} — ${formatMass(unit.mass)}`;
+        palletContents.innerHTML = '';
+        for (const { sku, description, count, mass } of result.contents) {
+            const li = document.createElement('li');
+            const name = sku ? `${sku}${description ? ' — ' + description : ''}` : t('colors.noSku');
+            li.textContent = `${count}× ${name} (${formatMass(mass)})`;
+            palletContents.appendChild(li);
+        }
+    }
+    showFeedback(result.message, 'success');
+});
+
+btnRotate.addEventListener('click', () => {
+    const module = getActiveModule();
+    if (module.currentGroup) {
+        showFeedback(module.rotateCurrentBox().message, 'error');
+        return;
+    }
+    if (!module.currentBox) {
+        showFeedback(t('box.generateFirst'), 'error');
+        return;
+    }
+    rotateCurrentBox();
+});
+
+// Caixa fantasma na melhor posição para a caixa em mão; o preview encaixa nela
+btnSuggest.addEventListener('click', () => {
+    const result = getActiveModule().suggestPosition();
+    showFeedback(result.message, result.success ? 'success' : 'error');
+    if (result.success) statusMsg.textContent = t('status.suggestionShown');
 });
 
 btnPlace.addEventListener('click', () => {
+    if (measurement) {
+        captureMeasurePoint();
+        return;
+    }
     const module = getActiveModule();
 
     // Posicionar container (palete ou caçamba)
     if (!isContainerPlaced()) {
-        const pos = hitTestManager.getHitPosition();
-        if (!pos) { showFeedback('Nenhuma superfície detectada!', 'error'); return; }
+        const pos = getHitSource().getHitPosition();
+        if (!pos) { showFeedback(t('feedback.noSurface'), 'error'); return; }
+
+        const placed = runRecorded('history.placeContainer', () => {
+            const config = currentMode === 'cubagem' ? applyPalletConfig() : applyTruckConfig();
+            if (!config.success) return config;
+            const yaw = getHitSource().getHitYaw();
+            if (currentMode === 'cubagem') cubagemModule.placePallet(pos, yaw);
+            else pickingModule.placeTruck(pos, yaw);
+            return config;
+        });
+        if (!placed.success) { showFeedback(placed.message, 'error'); return; }
 
         if (currentMode === 'cubagem') {
-            cubagemModule.placePallet(pos);
-            showFeedback('Palete posicionado!', 'success');
-            statusMsg.textContent = 'Palete posicionado! Gere uma nova caixa.';
+            showFeedback(t('pallet.placed'), 'success');
+            statusMsg.textContent = t('status.palletPlaced');
         } else {
-            pickingModule.placeTruck(pos);
-            showFeedback('Caçamba posicionada!', 'success');
-            statusMsg.textContent = 'Caçamba posicionada! Gere uma nova caixa.';
+            showFeedback(t('truck.placed'), 'success');
+            statusMsg.textContent = t('status.truckPlaced');
         }
+        updateSetupPanel();
+        updateStats();
+        updateCounters();
+        autosave();
+        return;
+    }
+
+    // Soltar o grupo em mão
+    if (module.currentGroup) {
+        const result = runRecorded('history.moveGroup', m => m.placeBox());
+        showFeedback(result.message, result.success ? 'success' : 'error');
+        if (result.success) statusMsg.textContent = t('status.boxPlaced');
+        updateCounters();
         return;
     }
 
     // Empilhar caixa
     if (!module.currentBox) {
-        showFeedback('Gere uma nova caixa primeiro!', 'error');
+        showFeedback(t('box.generateFirst'), 'error');
         return;
     }
 
-    const result = module.placeBox();
+    const result = runRecorded('history.placeBox', m => m.placeBox());
+    showFeedback(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        updateHUD(null);
+        statusMsg.textContent = t('status.boxPlaced');
+    }
+    updateCounters();
+});
+
+btnDiscard.addEventListener('click', () => {
+    if (measurement) {
+        cancelMeasurement();
+        return;
+    }
+    // Cancelar o grupo em mão ou limpar a seleção não muda a carga: fica fora do histórico
+    const module = getActiveModule();
+    const result = module.currentBox
+        ? runRecorded('history.discardBox', m => m.discardCurrentBox())
+        : module.discardCurrentBox();
     showFeedback(result.message, result.success ? 'success' : 'error');
     if (result.success) {
         updateHUD(null);
-        statusMsg.textContent = 'Caixa posicionada! Gere outra ou remova uma existente.';
+        statusMsg.textContent = t('status.newBoxOrRemove');
     }
-    countEl.textContent = module.getBoxCount();
+});
+
+btnUndo.addEventListener('click', () => {
+    // Na medição, desfaz o último toque
+    if (measurement?.points.length) {
+        measurement.removeLastPoint();
+        updateMeasurement();
+        return;
+    }
+    if (histories[currentMode].peekUndo()?.transfer) {
+        stepTransfer('undo');
+        return;
+    }
+    const entry = histories[currentMode].undo();
+    if (!entry) { showFeedback(t('history.nothingToUndo'), 'error'); return; }
+    getActiveModule().restoreMemento(entry.before);
+    afterHistoryChange(t('history.undone', { action: t(entry.label) }));
+});
+
+btnRedo.addEventListener('click', () => {
+    if (histories[currentMode].peekRedo()?.transfer) {
+        stepTransfer('redo');
+        return;
+    }
+    const entry = histories[currentMode].redo();
+    if (!entry) { showFeedback(t('history.nothingToRedo'), 'error'); return; }
+    getActiveModule().restoreMemento(entry.after);
+    afterHistoryChange(t('history.redone', { action: t(entry.label) }));
 });
 
 btnReposition.addEventListener('click', () => {
     const module = getActiveModule();
 
-    if (module.currentBox) {
-        showFeedback('Posicione a caixa atual antes de reposicionar outra.', 'error');
+    if (module.currentBox || module.currentGroup) {
+        showFeedback(t('box.placeCurrentFirst'), 'error');
+        return;
+    }
+
+    // Com seleção, as caixas selecionadas se movem juntas; só soltá-las entra no histórico
+    if (module.selection.length > 0) {
+        clearRemovalCandidate();
+        const result = module.repositionSelection();
+        showFeedback(result.message, result.success ? 'success' : 'error');
+        if (result.success) statusMsg.textContent = t('status.movingGroup');
+        updateCounters();
         return;
     }
 
     if (!removalCandidate) {
-        showFeedback('Aponte para uma caixa para reposicioná-la.', 'error');
+        showFeedback(t('box.aimToReposition'), 'error');
         return;
     }
 
     const targetMesh = removalCandidate.mesh;
     removalCandidate = null;
 
-    const result = module.repositionBox(targetMesh);
+    const result = runRecorded('history.repositionBox', m => m.repositionBox(targetMesh));
     showFeedback(result.message, result.success ? 'success' : 'error');
     if (result.success) {
-        countEl.textContent = module.getBoxCount();
-        statusMsg.textContent = 'Aponte para o novo local e toque "Posicionar".';
+        statusMsg.textContent = t('status.aimNewSpot');
         updateHUD(module.currentBox);
     }
 });
 
-btnMode.addEventListener('click', () => {
+// Seleção para mover várias caixas juntas: a caixa mirada ou a pilha sobre ela
+function selectAimedBox(action) {
+    const module = getActiveModule();
+    if (module.currentBox || module.currentGroup) {
+        showFeedback(t('box.placeCurrentFirst'), 'error');
+        return;
+    }
+    if (!removalCandidate) {
+        showFeedback(t('group.aimToSelect'), 'error');
+        return;
+    }
+    const result = action(module, removalCandidate.mesh);
+    showFeedback(result.message, result.success ? 'success' : 'error');
+}
+
+btnSelect.addEventListener('click', () => selectAimedBox((m, mesh) => m.toggleSelection(mesh)));
+btnSelectStack.addEventListener('click', () => selectAimedBox((m, mesh) => m.selectStack(mesh)));
+
+btnAuto.addEventListener('click', () => {
+    if (!isContainerPlaced()) {
+        showFeedback(t(currentMode === 'cubagem' ? 'pallet.placeFirst' : 'truck.placeFirst'), 'error');
+        return;
+    }
     clearRemovalCandidate();
 
-    if (currentMode === 'cubagem') {
-        currentMode = 'picking';
-        cubagemModule.deactivate();
-        pickingModule.activate();
-        btnMode.textContent = 'Modo: Cubagem';
-        currentModeEl.textContent = 'Picking';
+    // Sem fila pendente: gera um lote de caixas aleatórias, dentro da ação registrada
+    // para que desfazer não deixe na fila caixas que o usuário nunca teve
+    const result = runRecorded('history.autoArrange', m => {
+        if (m.getPendingCount() === 0 && !m.currentBox) {
+            m.addPendingBoxes(Array.from({ length: AUTO_BATCH_SIZE }, () => Box.createRandom()));
+        }
+        return m.autoArrange();
+    });
+    showFeedback(result.message, result.success ? 'success' : 'error');
+    updateHUD(null);
+
+    if (result.unplaced && result.unplaced.length > 0) {
+        statusMsg.textContent = t('arrange.didNotFit', {
+            boxes: result.unplaced.map(box => box.getDimsText()).join('; ')
+        });
     } else {
-        currentMode = 'cubagem';
-        pickingModule.deactivate();
-        cubagemModule.activate();
-        btnMode.textContent = 'Modo: Picking';
-        currentModeEl.textContent = 'Cubagem';
+        statusMsg.textContent = result.message;
     }
+});
 
-    updateHUD(null);
-    statusMsg.textContent = isContainerPlaced()
-        ? 'Gere uma nova caixa ou aponte para remover.'
-        : 'Aponte para uma superfície e toque "Posicionar".';
+btnManifest.addEventListener('click', () => manifestFile.click());
+
+manifestFile.addEventListener('change', async () => {
+    const file = manifestFile.files[0];
+    manifestFile.value = '';
+    if (!file) return;
+
+    try {
+        const items = parseManifest(await file.text(), file.name);
+        const boxes = expandManifest(items).map(spec => Box.fromSpec(spec));
+        // Os mementos guardam a fila: sem o registro, desfazer outra ação perderia a importação
+        runRecorded('history.importManifest', module => {
+            module.addPendingBoxes(boxes);
+            return { success: true };
+        });
+        updateCounters();
+        showFeedback(t('manifest.loaded', { skus: items.length, boxes: boxes.length }), 'success');
+        statusMsg.textContent = t('status.manifestLoaded');
+    } catch (err) {
+        showFeedback(t('manifest.error', { error: err.message }), 'error');
+    }
+});
+
+btnExport.addEventListener('click', () => {
+    if (!isContainerPlaced()) {
+        showFeedback(t('export.nothing'), 'error');
+        return;
+    }
+    exportMenu.classList.toggle('hidden');
+});
+
+btnExportJSON.addEventListener('click', () => {
+    downloadFile(`${exportBaseName()}.json`, planToJSON(getActiveModule().getPlan()), 'application/json');
+    exportMenu.classList.add('hidden');
+});
+
+btnExportCSV.addEventListener('click', () => {
+    downloadFile(`${exportBaseName()}.csv`, planToCSV(getActiveModule().getPlan()), 'text/csv');
+    exportMenu.classList.add('hidden');
+});
+
+btnExportReport.addEventListener('click', () => {
+    const html = planToReportHTML(getActiveModule().getPlan());
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    if (!window.open(url, '_blank')) {
+        downloadFile(`${exportBaseName()}.html`, html, 'text/html');
+    }
+    exportMenu.classList.add('hidden');
+});
+
+btnMode.addEventListener('click', () => {
+    clearRemovalCandidate();
+    setMode(currentMode === 'cubagem' ? 'picking' : 'cubagem');
+    statusMsg.textContent = t(isContainerPlaced() ? 'status.newBoxOrRemove' : 'status.aimSurfaceAndPlace');
+    autosave();
+});
+
+// ========== Alinhamento manual do container ==========
+const ALIGN_ROTATE_STEP = THREE.MathUtils.degToRad(5);
+const ALIGN_NUDGE_STEP = 0.01; // m
+
+btnAlign.addEventListener('click', () => {
+    if (!isContainerPlaced()) {
+        showFeedback(t('container.placeFirst'), 'error');
+        return;
+    }
+    alignPanel.classList.toggle('hidden');
+});
+
+function adjustContainer(label, action) {
+    clearRemovalCandidate();
+    const result = runRecorded(label, action);
+    statusMsg.textContent = result.message;
+    if (!result.success) showFeedback(result.message, 'error');
+}
+
+document.getElementById('btn-align-ccw').addEventListener('click', () =>
+    adjustContainer('history.rotateContainer', m => m.rotateContainer(ALIGN_ROTATE_STEP)));
+document.getElementById('btn-align-cw').addEventListener('click', () =>
+    adjustContainer('history.rotateContainer', m => m.rotateContainer(-ALIGN_ROTATE_STEP)));
+document.getElementById('btn-nudge-left').addEventListener('click', () =>
+    adjustContainer('history.nudgeContainer', m => m.nudgeContainer(-ALIGN_NUDGE_STEP, 0)));
+document.getElementById('btn-nudge-right').addEventListener('click', () =>
+    adjustContainer('history.nudgeContainer', m => m.nudgeContainer(ALIGN_NUDGE_STEP, 0)));
+document.getElementById('btn-nudge-back').addEventListener('click', () =>
+    adjustContainer('history.nudgeContainer', m => m.nudgeContainer(0, -ALIGN_NUDGE_STEP)));
+document.getElementById('btn-nudge-front').addEventListener('click', () =>
+    adjustContainer('history.nudgeContainer', m => m.nudgeContainer(0, ALIGN_NUDGE_STEP)));
+
+btnRules.addEventListener('click', () => {
+    renderRulesPanel();
+    rulesPanel.classList.toggle('hidden');
+});
+
+btnPlans.addEventListener('click', () => {
+    renderPlansList();
+    plansPanel.classList.toggle('hidden');
+});
+
+btnPlanSave.addEventListener('click', () => {
+    const plan = savePlan(planNameInput.value, getAppState());
+    if (!plan) {
+        showFeedback(t('plans.saveFailed'), 'error');
+        return;
+    }
+    planNameInput.value = '';
+    renderPlansList();
+    showFeedback(t('plans.saved', { name: plan.name }), 'success');
 });
 
 btnReset.addEventListener('click', () => {
     clearRemovalCandidate();
+    endMeasurement();
     cubagemModule.reset();
     pickingModule.reset();
+    clearHistories();
+    palletPanel.classList.add('hidden');
     updateHUD(null);
-    showFeedback('Tudo resetado!', 'success');
-    statusMsg.textContent = 'Resetado! Aponte para uma superfície.';
+    updateSetupPanel();
+    showFeedback(t('feedback.reset'), 'success');
+    statusMsg.textContent = t('status.reset');
 });
@@ -0,0 +1,87 @@
+// Distribuição de peso na carroceria: centro de gravidade e carga por eixo.
+// Módulo puro (sem three.js): itens { box, x, y, z } em coords locais (ver weight.js).
+//
+// A caçamba vai de -Z (frente, junto à cabine) a +Z (porta). As posições dos eixos
+// são medidas em metros a partir da parede da frente, no sentido da porta
+// (negativas = à frente da caçamba). A carga útil é tratada como uma viga
+// biapoiada nos dois eixos; o peso próprio do veículo não entra na conta.
+
+import { t, formatMass, formatLength, formatPercent } from './i18n.js';
+
+// Desvio lateral máximo do CG, como fração da largura da caçamba
+export const LATERAL_TOLERANCE = 0.05;
+
+// Fração mínima da carga no eixo dianteiro (dirigibilidade)
+export const MIN_FRONT_AXLE_SHARE = 0.1;
+
+/**
+ * vehicle: { width, length, axles: { front, rear, frontMax, rearMax } }
+ * Retorna {
+ *   totalMass, cog: { x, y, z } | null,
+ *   longitudinal   distância do CG à parede da frente (m)
+ *   lateral        desvio do CG em X (m, + para a direita)
+ *   front, rear    carga em cada eixo (kg)
+ *   frontMax, rearMax, frontShare,
+ *   issues         mensagens do que está fora do envelope
+ *   withinEnvelope
+ * }
+ */
+export function computeAxleLoads(items, vehicle) {
+    const { axles } = vehicle;
+    const result = {
+        totalMass: 0,
+        cog: null,
+        longitudinal: null,
+        lateral: null,
+        front: 0,
+        rear: 0,
+        frontMax: axles.frontMax,
+        rearMax: axles.rearMax,
+        frontShare: null,
+        issues: [],
+        withinEnvelope: true
+    };
+
+    let mx = 0;
+    let my = 0;
+    let mz = 0;
+    for (const { box, x, y, z } of items) {
+        result.totalMass += box.mass;
+        mx += box.mass * x;
+        my += box.mass * y;
+        mz += box.mass * z;
+    }
+    if (result.totalMass <= 0) return result;
+
+    const total = result.totalMass;
+    result.cog = { x: mx / total, y: my / total, z: mz / total };
+    result.longitudinal = result.cog.z + vehicle.length / 2;
+    result.lateral = result.cog.x;
+
+    // Momentos em torno do eixo dianteiro
+    result.rear = total * (result.longitudinal - axles.front) / (axles.rear - axles.front);
+    result.front = total - result.rear;
+    result.frontShare = result.front / total;
+
+    if (result.front > axles.frontMax) {
+        result.issues.push(t('axle.frontOverloaded', {
+            load: formatMass(result.front, 0),
+            max: formatMass(axles.frontMax, 0)
+        }));
+    }
+    if (result.rear > axles.rearMax) {
+        result.issues.push(t('axle.rearOverloaded', {
+            load: formatMass(result.rear, 0),
+            max: formatMass(axles.rearMax, 0)
+        }));
+    }
+    if (result.frontShare < MIN_FRONT_AXLE_SHARE) {
+        result.issues.push(t('axle.frontLight', { share: formatPercent(result.frontShare, 0) }));
+    }
+    if (Math.abs(result.lateral) > LATERAL_TOLERANCE * vehicle.width) {
+        const key = result.lateral < 0 ? 'axle.unbalancedLeft' : 'axle.unbalancedRight';
+        result.issues.push(t(key, { offset: formatLength(Math.abs(result.lateral)) }));
+    }
+    result.withinEnvelope = result.issues.length === 0;
+    return result;
+}
@@ -1,121 +1,117 @@
 import * as THREE from 'three';
+import { ORIENTATIONS } from './orientation.js';
+import { BoxData, getColorCSS } from './boxData.js';
 
-// Limiares de volume (m³)
-// Com dimensões 0.1–0.5m, volume varia de ~0.001 a ~0.125 m³
-const VOLUME_HIGH = 0.05;  // X - acima = vermelho (caixas grandes)
-const VOLUME_MID = 0.015;  // Y - entre Y e X = verde, abaixo = azul
+export { BoxColor, getColorCSS, getColorName } from './boxData.js';
 
-// Faixa de dimensões (metros)
-const DIM_MIN = 0.1;
-const DIM_MAX = 0.5;
+// Opacidade da caixa posicionada e do preview
+const OPACITY_PLACED = 0.85;
+const OPACITY_PREVIEW = 0.5;
 
-// Cores por categoria
-export const BoxColor = {
-    RED: 'red',
-    GREEN: 'green',
-    BLUE: 'blue'
+// Destaques (emissive) de erro, de caixa mirada e de caixa selecionada
+const HIGHLIGHTS = {
+    error: { color: 0xff0000, intensity: 0.5 },
+    removal: { color: 0xffaa00, intensity: 0.6 },
+    selected: { color: 0x00e5ff, intensity: 0.5 }
 };
 
-const COLOR_MAP = {
-    [BoxColor.RED]: 0xe74c3c,
-    [BoxColor.GREEN]: 0x2ecc71,
-    [BoxColor.BLUE]: 0x3498db
-};
-
-const COLOR_CSS = {
-    [BoxColor.RED]: '#e74c3c',
-    [BoxColor.GREEN]: '#2ecc71',
-    [BoxColor.BLUE]: '#3498db'
-};
-
-function randomDim() {
-    return DIM_MIN + Math.random() * (DIM_MAX - DIM_MIN);
+// Geometria unitária compartilhada: cada mesh é escalado para as dimensões da caixa.
+// Com centenas de caixas, evita uma BoxGeometry/EdgesGeometry por caixa.
+const UNIT_GEOMETRY = new THREE.BoxGeometry(1, 1, 1);
+const UNIT_EDGES = new THREE.EdgesGeometry(UNIT_GEOMETRY);
+const EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 2 });
+
+// Materiais compartilhados por combinação de cor, opacidade e destaque
+const materialCache = new Map();
+
+export function getBoxMaterial(color, opacity, highlight = null) {
+    const key = `${color}|${opacity}|${highlight}`;
+    if (!materialCache.has(key)) {
+        const emissive = HIGHLIGHTS[highlight];
+        materialCache.set(key, new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.4,
+            metalness: 0.1,
+            transparent: true,
+            opacity,
+            emissive: emissive ? emissive.color : 0x000000,
+            emissiveIntensity: emissive ? emissive.intensity : 0
+        }));
+    }
+    return materialCache.get(key);
 }
 
-function classifyVolume(volume) {
-    if (volume > VOLUME_HIGH) return BoxColor.RED;
-    if (volume > VOLUME_MID) return BoxColor.GREEN;
-    return BoxColor.BLUE;
-}
+/**
+ * Caixa exibida na cena: os dados de BoxData (ver boxData.js) mais o mesh.
+ */
+export class Box extends BoxData {
+    constructor(width, height, depth, options = {}) {
+        super(width, height, depth, options);
+
+        // Estado visual; o material compartilhado é escolhido a partir dele
+        this.displayColor = null;
+        this.previewMode = false;
+        this.highlight = null;
+        this.selected = false;
 
-export class Box {
-    constructor(width, height, depth) {
-        this.width = width || randomDim();
-        this.height = height || randomDim();
-        this.depth = depth || randomDim();
-        this.volume = this.width * this.height * this.depth;
-        this.colorCategory = classifyVolume(this.volume);
         this.mesh = this._createMesh();
         this.mesh.userData.box = this;
+        this._updateMaterial();
     }
 
     _createMesh() {
-        const geometry = new THREE.BoxGeometry(this.width, this.height, this.depth);
-        const material = new THREE.MeshStandardMaterial({
-            color: COLOR_MAP[this.colorCategory],
-            roughness: 0.4,
-            metalness: 0.1,
-            transparent: true,
-            opacity: 0.85
-        });
-        const mesh = new THREE.Mesh(geometry, material);
+        const { width, height, depth } = this.size;
+        const mesh = new THREE.Mesh(UNIT_GEOMETRY);
+        mesh.scale.set(width, height, depth);
 
         // Wireframe de borda para melhor visibilidade
-        const edges = new THREE.EdgesGeometry(geometry);
-        const lineMat = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 2 });
-        const wireframe = new THREE.LineSegments(edges, lineMat);
-        mesh.add(wireframe);
+        mesh.add(new THREE.LineSegments(UNIT_EDGES, EDGE_MATERIAL));
 
         return mesh;
     }
 
-    getDimsText() {
-        return `${this.width.toFixed(2)} x ${this.height.toFixed(2)} x ${this.depth.toFixed(2)} m`;
+    _getOpacity() {
+        return this.previewMode ? OPACITY_PREVIEW : OPACITY_PLACED;
     }
 
-    getVolumeText() {
-        return `Vol: ${this.volume.toFixed(3)} m³`;
+    _updateMaterial() {
+        const color = this.displayColor ?? getColorCSS(this.colorCategory);
+        // Erro e mira têm prioridade; a seleção reaparece quando eles saem
+        const highlight = this.highlight ?? (this.selected ? 'selected' : null);
+        this.mesh.material = getBoxMaterial(color, this._getOpacity(), highlight);
     }
 
-    getCSSColor() {
-        return COLOR_CSS[this.colorCategory];
+    // Além das extensões, gira o mesh para a orientação
+    setOrientation(index) {
+        super.setOrientation(index);
+        if (ORIENTATIONS[index]) this.mesh.rotation.set(...ORIENTATIONS[index].rotation);
     }
 
-    getColorName() {
-        const names = {
-            [BoxColor.RED]: 'Vermelha',
-            [BoxColor.GREEN]: 'Verde',
-            [BoxColor.BLUE]: 'Azul'
-        };
-        return names[this.colorCategory];
+    // Cor de exibição alternativa (CSS); null volta à cor da categoria
+    setDisplayColor(color) {
+        this.displayColor = color;
+        this._updateMaterial();
     }
 
     setPreviewMode(enabled) {
-        this.mesh.material.opacity = enabled ? 0.5 : 0.85;
+        this.previewMode = enabled;
+        this._updateMaterial();
     }
 
     setErrorHighlight(enabled) {
-        if (enabled) {
-            this.mesh.material.emissive = new THREE.Color(0xff0000);
-            this.mesh.material.emissiveIntensity = 0.5;
-        } else {
-            this.mesh.material.emissive = new THREE.Color(0x000000);
-            this.mesh.material.emissiveIntensity = 0;
-        }
+        this.highlight = enabled ? 'error' : null;
+        this._updateMaterial();
     }
 
     // Destaque amarelo: caixa sendo mirada para remoção
     setRemovalHighlight(enabled) {
-        if (enabled) {
-            this.mesh.material.emissive = new THREE.Color(0xffaa00);
-            this.mesh.material.emissiveIntensity = 0.6;
-        } else {
-            this.mesh.material.emissive = new THREE.Color(0x000000);
-            this.mesh.material.emissiveIntensity = 0;
-        }
+        this.highlight = enabled ? 'removal' : null;
+        this._updateMaterial();
     }
 
-    static createRandom() {
-        return new Box();
+    // Destaque ciano: caixa na seleção para mover em grupo
+    setSelected(enabled) {
+        this.selected = enabled;
+        this._updateMaterial();
     }
 }
@@ -0,0 +1,197 @@
+// Dados de uma caixa sem three.js: dimensões, orientação, classificação por volume,
+// massa e restrições de manuseio. Box (box.js) acrescenta o mesh; o modelo de plano
+// (loadPlan.js) e as regras trabalham só com estes campos, também em Node.
+
+import { ORIENTATIONS, ORIENTATION_COUNT } from './orientation.js';
+import { t, formatDims, formatVolume, formatMass } from './i18n.js';
+
+// Limiares de volume (m³)
+// Com dimensões 0.1–0.5m, volume varia de ~0.001 a ~0.125 m³
+const VOLUME_HIGH = 0.05;  // X - acima = vermelho (caixas grandes)
+const VOLUME_MID = 0.015;  // Y - entre Y e X = verde, abaixo = azul
+
+// Faixa de dimensões (metros)
+const DIM_MIN = 0.1;
+const DIM_MAX = 0.5;
+
+// Massa: densidade aparente aleatória (kg/m³) quando não informada
+const DENSITY_MIN = 80;
+const DENSITY_MAX = 250;
+
+// Resistência ao empilhamento: carga máxima por área de topo (kg/m²)
+const CRUSH_STRENGTH = 400;
+
+// Cores por categoria
+export const BoxColor = {
+    RED: 'red',
+    GREEN: 'green',
+    BLUE: 'blue'
+};
+
+const COLOR_CSS = {
+    [BoxColor.RED]: '#e74c3c',
+    [BoxColor.GREEN]: '#2ecc71',
+    [BoxColor.BLUE]: '#3498db'
+};
+
+export function getColorCSS(category) {
+    return COLOR_CSS[category];
+}
+
+// Nome da cor no idioma atual (ver messages.js)
+export function getColorName(category) {
+    return t(`color.${category}`);
+}
+
+let nextBoxId = 1;
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+function randomDim() {
+    return randomBetween(DIM_MIN, DIM_MAX);
+}
+
+function classifyVolume(volume) {
+    if (volume > VOLUME_HIGH) return BoxColor.RED;
+    if (volume > VOLUME_MID) return BoxColor.GREEN;
+    return BoxColor.BLUE;
+}
+
+export class BoxData {
+    /**
+     * options.mass: massa em kg (padrão: volume × densidade aleatória)
+     * options.maxLoad: carga máxima em kg que a caixa suporta por cima
+     *   (padrão: área do topo × CRUSH_STRENGTH)
+     * options.sku / options.description: identificação vinda do manifesto
+     * options.fragile: nada pode ser empilhado sobre a caixa
+     * options.thisSideUp: só pode girar em torno da vertical
+     * options.category: categoria de manuseio, para a regra de segregação
+     * options.stop: parada de entrega (1 = primeira), no planejamento multi-drop
+     * options.id: identificador único (padrão: sequencial na sessão)
+     */
+    constructor(width, height, depth, options = {}) {
+        this.id = options.id ?? nextBoxId++;
+        nextBoxId = Math.max(nextBoxId, this.id + 1);
+        this.width = width || randomDim();
+        this.height = height || randomDim();
+        this.depth = depth || randomDim();
+        // Dimensões originais; width/height/depth acima refletem a orientação atual
+        this.size = { width: this.width, height: this.height, depth: this.depth };
+        this.orientation = 0;
+        this.volume = this.width * this.height * this.depth;
+        this.colorCategory = classifyVolume(this.volume);
+        this.mass = options.mass ?? this.volume * randomBetween(DENSITY_MIN, DENSITY_MAX);
+        this.maxLoad = options.maxLoad ?? this.width * this.depth * CRUSH_STRENGTH;
+        this.sku = options.sku ?? null;
+        this.description = options.description ?? '';
+        this.fragile = options.fragile ?? false;
+        this.thisSideUp = options.thisSideUp ?? false;
+        this.category = options.category ?? null;
+        this.stop = options.stop ?? null;
+    }
+
+    /**
+     * Aplica uma das seis orientações axis-aligned.
+     * Atualiza width/height/depth (extensões em X, Y, Z).
+     */
+    setOrientation(index) {
+        const orientation = ORIENTATIONS[index];
+        if (!orientation) return;
+
+        this.orientation = index;
+        const [dimX, dimY, dimZ] = orientation.dims;
+        this.width = this.size[dimX];
+        this.height = this.size[dimY];
+        this.depth = this.size[dimZ];
+    }
+
+    // Avança para a próxima orientação (alterna giro de 90° e tombamento)
+    rotate() {
+        this.setOrientation((this.orientation + 1) % ORIENTATION_COUNT);
+        return this.orientation;
+    }
+
+    getDimsText() {
+        return formatDims(this.width, this.height, this.depth);
+    }
+
+    getVolumeText() {
+        return t('box.volume', { volume: formatVolume(this.volume) });
+    }
+
+    getMassText() {
+        return t('box.mass', { mass: formatMass(this.mass), maxLoad: formatMass(this.maxLoad, 0) });
+    }
+
+    // Restrições de manuseio para o HUD (vazio se não houver)
+    getHandlingText() {
+        const flags = [];
+        if (this.fragile) flags.push(t('box.fragile'));
+        if (this.thisSideUp) flags.push(t('box.thisSideUp'));
+        if (this.category) flags.push(this.category);
+        if (this.stop != null) flags.push(t('delivery.stop', { stop: this.stop }));
+        return flags.join(' · ');
+    }
+
+    getCSSColor() {
+        return COLOR_CSS[this.colorCategory];
+    }
+
+    getColorName() {
+        return getColorName(this.colorCategory);
+    }
+
+    static createRandom() {
+        return new this();
+    }
+
+    // Estado serializável (sessões salvas, ver storage.js)
+    toJSON() {
+        return {
+            id: this.id,
+            size: { ...this.size },
+            mass: this.mass,
+            maxLoad: this.maxLoad,
+            sku: this.sku,
+            description: this.description,
+            fragile: this.fragile,
+            thisSideUp: this.thisSideUp,
+            category: this.category,
+            stop: this.stop,
+            orientation: this.orientation
+        };
+    }
+
+    // Recria a caixa da mesma classe em que é chamado (BoxData ou Box)
+    static fromJSON(data) {
+        const { width, height, depth } = data.size;
+        const box = new this(width, height, depth, {
+            id: data.id,
+            mass: data.mass,
+            maxLoad: data.maxLoad,
+            sku: data.sku,
+            description: data.description,
+            fragile: data.fragile,
+            thisSideUp: data.thisSideUp,
+            category: data.category,
+            stop: data.stop
+        });
+        box.setOrientation(data.orientation ?? 0);
+        return box;
+    }
+
+    // Cria a caixa a partir de um item do manifesto (ver manifest.js)
+    static fromSpec(spec) {
+        return new this(spec.width, spec.height, spec.depth, {
+            mass: spec.mass,
+            sku: spec.sku,
+            description: spec.description,
+            fragile: spec.fragile,
+            thisSideUp: spec.thisSideUp,
+            category: spec.category,
+            stop: spec.stop
+        });
+    }
+}
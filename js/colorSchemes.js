@@ -0,0 +1,173 @@
+// Esquemas de cores alternativos para as caixas posicionadas.
+// Só muda a cor de exibição: a categoria de volume (colorCategory) continua
+// sendo a usada pelas regras de empilhamento.
+//
+// entries: [{ item: { box, x, y, z }, order }] em coords locais; order é null
+// para a caixa em mão (ainda não posicionada).
+
+import { BoxColor, getColorCSS, getColorName } from './boxData.js';
+import { getStopColor } from './delivery.js';
+import { buildStackContext, evaluateStackingRules } from './stacking.js';
+import { footprintAt } from './support.js';
+import { SpatialIndex } from './spatialIndex.js';
+import { t, formatMass, formatNumber } from './i18n.js';
+
+export const ColorScheme = {
+    CATEGORY: 'category',
+    WEIGHT: 'weight',
+    SKU: 'sku',
+    STOP: 'stop',
+    ORDER: 'order',
+    RULES: 'rules'
+};
+
+// Rótulos: chaves de messages.js, traduzidas com t() na exibição
+export const COLOR_SCHEMES = {
+    [ColorScheme.CATEGORY]: { label: 'colors.scheme.category' },
+    [ColorScheme.WEIGHT]:   { label: 'colors.scheme.weight' },
+    [ColorScheme.SKU]:      { label: 'colors.scheme.sku' },
+    [ColorScheme.STOP]:     { label: 'colors.scheme.stop' },
+    [ColorScheme.ORDER]:    { label: 'colors.scheme.order' },
+    [ColorScheme.RULES]:    { label: 'colors.scheme.rules' }
+};
+
+const NEUTRAL_COLOR = '#95a5a6';
+const RULE_OK_COLOR = '#2ecc71';
+const RULE_ERROR_COLOR = '#ff3030';
+const MAX_LEGEND_ITEMS = 8;
+const GRADIENT_STEPS = 4;
+
+// Gradiente de matiz: t = 0 (azul) até t = 1 (vermelho)
+function gradient(t) {
+    const hue = 220 * (1 - Math.min(1, Math.max(0, t)));
+    return `hsl(${hue.toFixed(0)}, 80%, 50%)`;
+}
+
+// Matizes bem espaçados (ângulo de ouro) para categorias discretas
+function distinctColor(index) {
+    return `hsl(${((index * 137.508) % 360).toFixed(0)}, 70%, 55%)`;
+}
+
+// Legenda de um gradiente entre min e max, com format para os rótulos
+function gradientLegend(min, max, format, steps = GRADIENT_STEPS) {
+    const legend = [];
+    for (let i = 0; i < steps; i++) {
+        const t = steps > 1 ? i / (steps - 1) : 0;
+        legend.push({ color: gradient(t), label: format(min + (max - min) * t) });
+    }
+    return legend;
+}
+
+function colorByCategory() {
+    const legend = Object.values(BoxColor).map(category => ({
+        color: getColorCSS(category),
+        label: getColorName(category)
+    }));
+    return { colors: new Map(), legend };
+}
+
+function colorByWeight(entries) {
+    const colors = new Map();
+    if (entries.length === 0) return { colors, legend: [] };
+
+    const masses = entries.map(({ item }) => item.box.mass);
+    const min = Math.min(...masses);
+    const max = Math.max(...masses);
+    for (const { item } of entries) {
+        colors.set(item.box, gradient(max > min ? (item.box.mass - min) / (max - min) : 0));
+    }
+    return { colors, legend: gradientLegend(min, max, value => formatMass(value)) };
+}
+
+function colorBySku(entries) {
+    const colors = new Map();
+    const skus = [...new Set(entries.map(({ item }) => item.box.sku).filter(Boolean))].sort();
+    const skuColors = new Map(skus.map((sku, i) => [sku, distinctColor(i)]));
+
+    for (const { item } of entries) {
+        colors.set(item.box, item.box.sku ? skuColors.get(item.box.sku) : NEUTRAL_COLOR);
+    }
+
+    const legend = skus.slice(0, MAX_LEGEND_ITEMS).map(sku => ({ color: skuColors.get(sku), label: sku }));
+    if (skus.length > MAX_LEGEND_ITEMS) {
+        legend.push({ color: null, label: t('colors.moreSkus', { count: skus.length - MAX_LEGEND_ITEMS }) });
+    }
+    if (entries.some(({ item }) => !item.box.sku)) legend.push({ color: NEUTRAL_COLOR, label: t('colors.noSku') });
+    return { colors, legend };
+}
+
+// Caixas sem parada mantêm a cor da categoria
+function colorByStop(entries) {
+    const colors = new Map();
+    const stops = new Set();
+    for (const { item } of entries) {
+        if (item.box.stop == null) continue;
+        stops.add(item.box.stop);
+        colors.set(item.box, getStopColor(item.box.stop));
+    }
+
+    const legend = [...stops].sort((a, b) => a - b)
+        .map(stop => ({ color: getStopColor(stop), label: t('delivery.stop', { stop }) }));
+    if (entries.some(({ item }) => item.box.stop == null)) {
+        legend.push({ color: null, label: t('colors.noStop') });
+    }
+    return { colors, legend };
+}
+
+// A caixa em mão (sem ordem) mantém a cor da categoria
+function colorByOrder(entries) {
+    const colors = new Map();
+    const placed = entries.filter(entry => entry.order !== null);
+    if (placed.length === 0) return { colors, legend: [] };
+
+    const orders = placed.map(entry => entry.order);
+    const first = Math.min(...orders);
+    const last = Math.max(...orders);
+    for (const { item, order } of placed) {
+        colors.set(item.box, gradient(last > first ? (order - first) / (last - first) : 0));
+    }
+    const steps = Math.min(GRADIENT_STEPS, last - first + 1);
+    return { colors, legend: gradientLegend(first, last, value => t('colors.ordinal', { order: formatNumber(Math.round(value)) }), steps) };
+}
+
+/**
+ * Reavalia cada caixa posicionada contra as que foram posicionadas antes dela,
+ * com a configuração de regras atual (que pode ter mudado depois do posicionamento).
+ */
+function colorByRules(entries, rulesConfig) {
+    const colors = new Map();
+    const placed = entries.filter(entry => entry.order !== null).sort((a, b) => a.order - b.order);
+    let violating = 0;
+
+    const earlier = new SpatialIndex();
+    for (const { item } of placed) {
+        const violations = evaluateStackingRules(buildStackContext(item, earlier), rulesConfig);
+        if (violations.length > 0) violating++;
+        colors.set(item.box, violations.length > 0 ? RULE_ERROR_COLOR : RULE_OK_COLOR);
+        earlier.insert(item, footprintAt(item.x, item.z, item.box));
+    }
+
+    return {
+        colors,
+        legend: [
+            { color: RULE_OK_COLOR, label: t('colors.rulesOk', { count: placed.length - violating }) },
+            { color: RULE_ERROR_COLOR, label: t('colors.rulesViolated', { count: violating }) }
+        ]
+    };
+}
+
+/**
+ * Calcula as cores de exibição conforme o esquema.
+ * context: { rules } configuração das regras de empilhamento (esquema RULES).
+ * Retorna { colors: Map box -> cor CSS (ausente = cor da categoria), legend: [{ color, label }] }.
+ */
+export function computeColoring(scheme, entries, context = {}) {
+    switch (scheme) {
+        case ColorScheme.WEIGHT: return colorByWeight(entries);
+        case ColorScheme.SKU:    return colorBySku(entries);
+        case ColorScheme.STOP:   return colorByStop(entries);
+        case ColorScheme.ORDER:  return colorByOrder(entries);
+        case ColorScheme.RULES:  return colorByRules(entries, context.rules);
+        default:                 return colorByCategory();
+    }
+}
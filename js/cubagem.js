@@ -1,32 +1,179 @@
 import * as THREE from 'three';
 import { Box } from './box.js';
-import { canStack, getStackError } from './stacking.js';
+import { PalletLoad } from './palletLoad.js';
+import { ORIENTATION_COUNT } from './orientation.js';
+import { createRulesConfig, getRulesConfigError } from './stacking.js';
+import { footprintAt } from './support.js';
+import { SupportIndicator } from './supportIndicator.js';
+import {
+    snapPosition, findNearestSuggestion, DEFAULT_SNAP_SETTINGS, SUGGESTION_SNAP_DISTANCE
+} from './snapping.js';
+import { SnapGuides } from './snapGuides.js';
+import { SuggestionMarkers } from './suggestionMarkers.js';
+import { LoadPlan, ContainerKind } from './loadPlan.js';
+import { computeColoring, ColorScheme, COLOR_SCHEMES } from './colorSchemes.js';
+import { makeLoadItem, totalMass, DEFAULT_PALLET_PAYLOAD } from './weight.js';
+import { t, formatMass, formatPercent } from './i18n.js';
+
+// Paletes padronizados (dimensões do tampo em metros); label é chave de messages.js
+export const PALLET_TYPES = {
+    PBR:    { label: 'pallet.type.pbr', width: 1.2, depth: 1.0 },
+    EURO:   { label: 'pallet.type.euro', width: 1.2, depth: 0.8 },
+    US:     { label: 'pallet.type.us', width: 1.219, depth: 1.016 },
+    CUSTOM: { label: 'pallet.type.custom', width: null, depth: null }
+};
+
+const DEFAULT_MAX_STACK_HEIGHT = 1.6; // altura máxima da carga, medida do chão (m)
+const SUGGESTION_COUNT = 4; // melhor posição sugerida mais as alternativas
 
 export class CubagemModule {
     constructor(scene) {
         this.scene = scene;
         this.palletGroup = null;
         this.palletPlaced = false;
-        this.placedBoxes = [];   // { box, mesh } com posições em coords locais
+        this.placedBoxes = [];   // { box, mesh, order }: meshes desenhados a partir de plan
         this.currentBox = null;
         this.previewValid = false;
         this.boxCount = 0;
         this.active = false;
+        this.pendingBoxes = [];  // caixas aguardando posicionamento (Auto-arranjar)
+        this.onChange = null;    // callback chamado sempre que placedBoxes muda
+        this.batchingChanges = false; // ver _batchChanges
+        this.placementSeq = 0;   // ordem de carregamento das caixas posicionadas
+        this.restoreLayout = null; // caixas de uma sessão restaurada, aguardando o container
 
         // Limites do palete (metades, em coords locais)
-        this.boundsHalfX = 0.6;
-        this.boundsHalfZ = 0.5;
+        this.palletType = 'PBR';
+        this.boundsHalfX = PALLET_TYPES.PBR.width / 2;
+        this.boundsHalfZ = PALLET_TYPES.PBR.depth / 2;
         this.floorY = 0.05; // topo da superfície do palete
+        this.maxStackHeight = DEFAULT_MAX_STACK_HEIGHT;
+        this.overhang = 0;  // quanto a carga pode ultrapassar cada borda do palete (m)
+
+        this.previewResult = null; // última avaliação do preview (_evaluatePlacement)
+        this.supportIndicator = new SupportIndicator();
+
+        // Esquema de cores de exibição (ver colorSchemes.js)
+        this.colorScheme = ColorScheme.CATEGORY;
+        this.colorLegend = [];
+
+        // Regras de empilhamento da sessão: { [id]: { enabled, ...params } }
+        this.stackingRules = createRulesConfig();
+
+        // Encaixe do preview em paredes, caixas vizinhas e grade
+        this.snapSettings = { ...DEFAULT_SNAP_SETTINGS };
+        this.snapGuides = new SnapGuides();
+
+        // Melhores posições para a caixa em mão (LoadPlan.suggest), a primeira é a melhor
+        this.suggestions = [];
+        this.suggestionMarkers = new SuggestionMarkers();
+
+        // Caixas selecionadas para mover juntas e o grupo em mão (LoadPlan.getGroupLayout)
+        this.selection = [];
+        this.currentGroup = null;
+
+        // Carga útil máxima do palete (kg)
+        this.maxPayload = DEFAULT_PALLET_PAYLOAD;
+
+        // Posições e validação das caixas, sem three.js (ver loadPlan.js)
+        this.plan = new LoadPlan(this._getPlanContainer(), { rules: this.stackingRules });
+    }
+
+    // Container do modelo de plano a partir da configuração do palete
+    _getPlanContainer() {
+        return {
+            kind: ContainerKind.PALLET,
+            width: this.boundsHalfX * 2,
+            depth: this.boundsHalfZ * 2,
+            floorY: this.floorY,
+            maxHeight: this.maxStackHeight,
+            overhang: this.overhang,
+            maxPayload: this.maxPayload
+        };
     }
 
     activate() { this.active = true; }
     deactivate() { this.active = false; }
 
-    placePallet(position) {
+    /**
+     * Configura o palete antes de posicioná-lo.
+     * config: { type, width, depth (apenas para CUSTOM), maxStackHeight, overhang }
+     */
+    configurePallet(config) {
+        if (this.palletPlaced) {
+            return { success: false, message: t('pallet.resetToChange') };
+        }
+
+        const type = config.type ?? this.palletType;
+        const preset = PALLET_TYPES[type];
+        if (!preset) return { success: false, message: t('pallet.unknownType') };
+
+        const width = type === 'CUSTOM' ? config.width : preset.width;
+        const depth = type === 'CUSTOM' ? config.depth : preset.depth;
+        if (!(width > 0) || !(depth > 0)) {
+            return { success: false, message: t('pallet.sizeRequired') };
+        }
+
+        const maxStackHeight = config.maxStackHeight ?? this.maxStackHeight;
+        if (!(maxStackHeight > this.floorY)) {
+            return { success: false, message: t('pallet.invalidMaxHeight') };
+        }
+
+        const overhang = config.overhang ?? this.overhang;
+        if (!(overhang >= 0)) {
+            return { success: false, message: t('pallet.invalidOverhang') };
+        }
+
+        this.palletType = type;
+        this.boundsHalfX = width / 2;
+        this.boundsHalfZ = depth / 2;
+        this.maxStackHeight = maxStackHeight;
+        this.overhang = overhang;
+        this.plan.configure(this._getPlanContainer());
+
+        return { success: true, message: t('pallet.configured', { label: t(preset.label) }) };
+    }
+
+    /**
+     * Altera a configuração das regras de empilhamento (ver stacking.js).
+     * changes: { [id]: { enabled, ...params } }; regras omitidas não mudam.
+     */
+    configureRules(changes) {
+        const next = createRulesConfig(this.stackingRules, changes);
+        const error = getRulesConfigError(next);
+        if (error) return { success: false, message: error };
+        this.stackingRules = next;
+        this.plan.configure({}, { rules: next });
+        this._clearSuggestions();
+        this.previewValid = false;
+        this._applyColors();
+        return { success: true, message: t('rules.updated') };
+    }
+
+    /**
+     * Ajusta o encaixe do preview. settings: campos de DEFAULT_SNAP_SETTINGS
+     * (enabled, walls, boxes, grid, gridSize, distance); os omitidos não mudam.
+     */
+    configureSnap(settings) {
+        const next = { ...this.snapSettings, ...settings };
+        if (!(next.gridSize > 0) || !(next.distance >= 0)) {
+            return { success: false, message: t('snap.invalidGrid') };
+        }
+        this.snapSettings = next;
+        if (!next.enabled) this.snapGuides.hide();
+        return { success: true, message: t(next.enabled ? 'snap.enabled' : 'snap.disabled') };
+    }
+
+    /**
+     * Posiciona o container no ponto do hit test, girado rotationY (rad) em torno
+     * da vertical. Todas as regras trabalham em coords locais do grupo.
+     */
+    placePallet(position, rotationY = 0) {
         if (this.palletPlaced) return;
 
         this.palletGroup = new THREE.Group();
         this.palletGroup.position.copy(position);
+        this.palletGroup.rotation.y = rotationY;
 
         // Plataforma do palete
         const palletMesh = new THREE.Mesh(
@@ -47,42 +194,143 @@ export class CubagemModule {
         border.position.y = this.floorY;
         this.palletGroup.add(border);
 
+        // Volume permitido para a carga: área com sobra lateral até a altura máxima
+        const loadW = (this.boundsHalfX + this.overhang) * 2;
+        const loadD = (this.boundsHalfZ + this.overhang) * 2;
+        const loadH = this.maxStackHeight - this.floorY;
+        const limit = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.BoxGeometry(loadW, loadH, loadD)),
+            new THREE.LineBasicMaterial({ color: 0xffff00, transparent: true, opacity: 0.25 })
+        );
+        limit.position.y = this.floorY + loadH / 2;
+        this.palletGroup.add(limit);
+
+        this.palletGroup.add(this.supportIndicator.group);
+        this.palletGroup.add(this.snapGuides.group);
+        this.palletGroup.add(this.suggestionMarkers.group);
+
         this.scene.add(this.palletGroup);
         this.palletPlaced = true;
+        if (this.restoreLayout) {
+            this._rebuildLayout(this.restoreLayout);
+            this.restoreLayout = null;
+        }
+    }
+
+    // Giro manual do container em torno da vertical (rad), para alinhá-lo ao objeto real
+    rotateContainer(angle) {
+        if (!this.palletPlaced) {
+            return { success: false, message: t('pallet.notPlaced') };
+        }
+        const full = Math.PI * 2;
+        this.palletGroup.rotation.y = ((this.palletGroup.rotation.y + angle) % full + full) % full;
+        const degrees = Math.round(THREE.MathUtils.radToDeg(this.palletGroup.rotation.y)) % 360;
+        return { success: true, message: t('pallet.rotated', { degrees }) };
     }
 
-    generateNewBox() {
+    /**
+     * Desloca o container (m, no mundo) ao longo dos seus próprios eixos:
+     * dx para a direita (+X local), dz para a frente (+Z local).
+     */
+    nudgeContainer(dx, dz) {
+        if (!this.palletPlaced) {
+            return { success: false, message: t('pallet.notPlaced') };
+        }
+        const offset = new THREE.Vector3(dx, 0, dz).applyQuaternion(this.palletGroup.quaternion);
+        this.palletGroup.position.add(offset);
+        return { success: true, message: t('pallet.nudged') };
+    }
+
+    /**
+     * Pega a próxima caixa da fila de pendentes (ou a primeira do SKU pedido).
+     * Sem fila, gera uma caixa aleatória. Uma caixa de manifesto em mão volta para a fila.
+     * Retorna { success, message, box }; um SKU sem caixas na fila não muda a caixa em mão.
+     */
+    generateNewBox(sku = null) {
+        if (sku && this.currentBox?.sku !== sku && !this.pendingBoxes.some(b => b.sku === sku)) {
+            return { success: false, message: t('manifest.skuNotQueued', { sku }) };
+        }
+
+        const previous = this.currentBox;
         this._removeCurrentBox();
-        this.currentBox = Box.createRandom();
+        if (previous && previous.sku) this.pendingBoxes.push(previous);
+
+        if (this.pendingBoxes.length > 0) {
+            const index = sku ? this.pendingBoxes.findIndex(b => b.sku === sku) : 0;
+            this.currentBox = this.pendingBoxes.splice(index, 1)[0];
+            this.currentBox.setErrorHighlight(false);
+        } else {
+            this.currentBox = Box.createRandom();
+        }
         this.currentBox.setPreviewMode(true);
+        this._applyColors();
+        this.previewValid = false;
+        return {
+            success: true,
+            message: t('status.boxInHand', {
+                color: this.currentBox.getColorName(),
+                volume: this.currentBox.getVolumeText()
+            }),
+            box: this.currentBox
+        };
+    }
+
+    /**
+     * Põe em mão uma caixa criada fora da fila (ex.: medida em AR, ver measure.js).
+     * Uma caixa de manifesto em mão volta para a fila.
+     */
+    holdBox(box) {
+        const previous = this.currentBox;
+        this._removeCurrentBox();
+        if (previous && previous.sku) this.pendingBoxes.push(previous);
+
+        this.currentBox = box;
+        this.currentBox.setPreviewMode(true);
+        this._applyColors();
         this.previewValid = false;
         return this.currentBox;
     }
 
+    // Gira a caixa em mão para a próxima orientação; o preview é recalculado no próximo frame
+    rotateCurrentBox() {
+        if (this.currentGroup) {
+            return { success: false, message: t('group.cannotRotate') };
+        }
+        if (!this.currentBox) {
+            return { success: false, message: t('box.generateFirst') };
+        }
+        const index = this.currentBox.rotate();
+        this._clearSuggestions();
+        this.previewValid = false;
+        return { success: true, message: t('box.orientation', { index: index + 1, count: ORIENTATION_COUNT }) };
+    }
+
     /**
      * Atualiza a posição do preview a partir de uma posição no mundo (do hit test).
      * Chamado a cada frame no loop de renderização.
      */
     updatePreviewFromWorld(worldPos) {
-        if (!this.currentBox || !this.palletPlaced) return;
+        if (!(this.currentBox || this.currentGroup) || !this.palletPlaced) return;
         const localPos = this.palletGroup.worldToLocal(worldPos.clone());
-        this._updatePreview(localPos.x, localPos.z);
+        if (this.currentGroup) {
+            this._updateGroupPreview(localPos.x, localPos.z);
+        } else {
+            this._updatePreview(localPos.x, localPos.z);
+        }
     }
 
     _updatePreview(localX, localZ) {
         const box = this.currentBox;
-        const hw = box.width / 2;
-        const hd = box.depth / 2;
-
-        // Limitar dentro dos limites do palete
-        const x = Math.max(-this.boundsHalfX + hw, Math.min(this.boundsHalfX - hw, localX));
-        const z = Math.max(-this.boundsHalfZ + hd, Math.min(this.boundsHalfZ - hd, localZ));
-
-        const { topBox, stackY } = this._findTopAt(x, z, box);
+        const snap = this._snapPosition(box, localX, localZ);
+        const result = this._evaluatePlacement(box, snap.x, snap.z);
+        const { x, z, stackY } = result;
 
         box.mesh.position.set(x, stackY, z);
+        this.supportIndicator.update(footprintAt(x, z, box), stackY - box.height / 2, result.support);
+        this.snapGuides.update(snap.guides, stackY - box.height / 2);
 
-        const valid = canStack(box, topBox);
+        const valid = !result.error;
+        this.previewResult = result;
         this.previewValid = valid;
         box.setErrorHighlight(!valid);
 
@@ -91,122 +339,673 @@ export class CubagemModule {
         }
     }
 
-    /**
-     * Encontra a caixa mais alta cuja projeção XZ sobrepõe a posição (x, z) para newBox.
-     * Retorna { topBox, stackY } onde stackY é o centro Y da nova caixa.
-     */
-    _findTopAt(x, z, newBox) {
-        let topBox = null;
-        let topSurface = this.floorY;
-
-        for (const { box, mesh } of this.placedBoxes) {
-            const dx = Math.abs(mesh.position.x - x);
-            const dz = Math.abs(mesh.position.z - z);
-            const overlapX = (box.width + newBox.width) / 2;
-            const overlapZ = (box.depth + newBox.depth) / 2;
+    // O grupo em mão segue o hit test como um bloco, encaixado pelo retângulo das bases
+    _updateGroupPreview(localX, localZ) {
+        const group = this.currentGroup;
+        const snap = this._snapPosition(group, localX, localZ);
+        const result = this.plan.evaluateGroup(group, snap.x, snap.z);
 
-            if (dx < overlapX && dz < overlapZ) {
-                const boxTop = mesh.position.y + box.height / 2;
-                if (boxTop > topSurface) {
-                    topSurface = boxTop;
-                    topBox = box;
-                }
-            }
+        for (const { box, x, y, z } of result.members) {
+            box.mesh.position.set(x, y, z);
+            box.setErrorHighlight(!!result.error);
         }
+        this.snapGuides.update(snap.guides, result.baseY);
+
+        this.previewResult = result;
+        this.previewValid = !result.error;
+    }
+
+    /**
+     * Avalia o posicionamento de box com centro XZ desejado em (localX, localZ).
+     * A posição é limitada ao palete (mais a sobra lateral permitida).
+     * Retorna o resultado de LoadPlan.evaluate.
+     */
+    _evaluatePlacement(box, localX, localZ) {
+        return this.plan.evaluate(box, localX, localZ);
+    }
 
-        return { topBox, stackY: topSurface + newBox.height / 2 };
+    /**
+     * Posição (localX, localZ) limitada ao palete e puxada para as bordas do palete,
+     * faces das caixas posicionadas e grade, conforme snapSettings.
+     */
+    _snapPosition(box, localX, localZ) {
+        const { x, z } = this.plan.clampPosition(box, localX, localZ);
+        const suggestion = this.snapSettings.enabled
+            ? findNearestSuggestion(x, z, this.suggestions, SUGGESTION_SNAP_DISTANCE)
+            : null;
+        if (suggestion) return { x: suggestion.x, z: suggestion.z, guides: [] };
+
+        return snapPosition(x, z, box.width / 2, box.depth / 2, {
+            bounds: this.plan.getFloorRect(),
+            neighbours: this.plan.getNeighbourFootprints(x, z, box, this.snapSettings.distance),
+            settings: this.snapSettings
+        });
     }
 
     placeBox() {
+        if (this.currentGroup) return this._placeGroup();
         if (!this.currentBox || !this.palletPlaced) {
-            return { success: false, message: 'Gere uma caixa primeiro!' };
+            return { success: false, message: t('box.generateFirst') };
         }
 
-        if (!this.previewValid) {
-            const pos = this.currentBox.mesh.position;
-            const { topBox } = this._findTopAt(pos.x, pos.z, this.currentBox);
-            const error = getStackError(this.currentBox, topBox);
-            return { success: false, message: error || 'Posicionamento inválido!' };
+        const result = this.previewResult;
+        if (!this.previewValid || !result) {
+            return { success: false, message: result?.error || t('box.invalidPlacement') };
         }
 
-        this.currentBox.setPreviewMode(false);
-        this.currentBox.setErrorHighlight(false);
+        this._commitBox(this.currentBox, result);
+        this.currentBox = null;
+        this.previewResult = null;
+
+        const message = t('pallet.boxStacked', { count: this.boxCount });
+        return {
+            success: true,
+            message: result.supportError ? t('box.placedWithWarning', { message, warning: result.supportError }) : message
+        };
+    }
 
-        this.placedBoxes.push({ box: this.currentBox, mesh: this.currentBox.mesh });
+    // Solta o grupo em mão onde o preview validou; as caixas ganham nova ordem, de baixo para cima
+    _placeGroup() {
+        const result = this.previewResult;
+        if (!this.previewValid || !result) {
+            return { success: false, message: result?.error || t('box.invalidPlacement') };
+        }
+
+        this.currentGroup = null;
+        this.previewResult = null;
+        this._batchChanges(() => {
+            for (const { box, x, y, z } of result.members) {
+                this._commitBox(box, { x, z, stackY: y });
+            }
+        });
+        this.clearSelection();
+
+        const message = t('group.placed', { count: result.members.length });
+        return {
+            success: true,
+            message: result.supportError ? t('box.placedWithWarning', { message, warning: result.supportError }) : message
+        };
+    }
+
+    // Fixa box na posição avaliada por _evaluatePlacement
+    _commitBox(box, result) {
+        const order = ++this.placementSeq;
+        const placement = this.plan.place(box, result.x, result.stackY, result.z, order);
+        box.mesh.position.set(placement.x, placement.y, placement.z);
+        box.setPreviewMode(false);
+        box.setErrorHighlight(false);
+        this.supportIndicator.hide();
+        this.snapGuides.hide();
+        this._clearSuggestions();
+        if (box.mesh.parent !== this.palletGroup) {
+            this.palletGroup.add(box.mesh);
+        }
+
+        this.placedBoxes.push({ box, mesh: box.mesh, order });
         this.boxCount++;
-        this.currentBox = null;
+        this._notifyChange();
+    }
 
-        return { success: true, message: `Caixa empilhada! (Total: ${this.boxCount})` };
+    // Metadados do palete para exportação
+    getContainerInfo() {
+        return {
+            kind: 'pallet',
+            type: this.palletType,
+            name: t(PALLET_TYPES[this.palletType].label),
+            width: this.boundsHalfX * 2,
+            depth: this.boundsHalfZ * 2,
+            floorY: this.floorY,
+            maxHeight: this.maxStackHeight,
+            overhang: this.overhang,
+            maxPayload: this.maxPayload
+        };
     }
 
-    // Retorna todos os meshes de caixas já posicionadas (para raycasting externo)
-    getAllMeshes() {
-        return this.placedBoxes.map(e => e.mesh);
+    /**
+     * Plano de carga serializável (ver export.js): container, caixas em coords locais
+     * na ordem de carregamento e estatísticas.
+     */
+    getPlan() {
+        const boxes = this.placedBoxes.map(({ box, mesh, order }) => ({
+            id: box.id,
+            order,
+            sku: box.sku,
+            description: box.description,
+            colorCategory: box.colorCategory,
+            color: box.getCSSColor(),
+            mass: box.mass,
+            maxLoad: box.maxLoad,
+            fragile: box.fragile,
+            thisSideUp: box.thisSideUp,
+            category: box.category,
+            size: { ...box.size },
+            width: box.width,
+            height: box.height,
+            depth: box.depth,
+            orientation: box.orientation,
+            position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z }
+        }));
+        boxes.sort((a, b) => a.order - b.order);
+
+        return {
+            mode: 'cubagem',
+            createdAt: new Date().toISOString(),
+            container: this.getContainerInfo(),
+            boxes,
+            stats: this.getStats()
+        };
     }
 
-    // Verifica se alguma caixa está apoiada sobre targetMesh
-    _hasBoxOnTop(targetEntry) {
-        const { box: targetBox, mesh: targetMesh } = targetEntry;
-        for (const { box, mesh } of this.placedBoxes) {
-            if (mesh === targetMesh) continue;
-            if (mesh.position.y <= targetMesh.position.y) continue; // não está acima
+    /**
+     * Estado serializável do módulo: configuração do container, caixas posicionadas
+     * (coords locais) e fila de pendentes. A caixa em mão volta para a fila.
+     */
+    serialize() {
+        const pending = this.currentBox ? [this.currentBox, ...this.pendingBoxes] : this.pendingBoxes;
+        const placedBoxes = this.palletPlaced
+            ? this._getPlacedEntries().map(({ box, order, position }) => ({
+                box: box.toJSON(),
+                order,
+                position: { x: position.x, y: position.y, z: position.z }
+            }))
+            : (this.restoreLayout ?? []);
+
+        return {
+            container: {
+                type: this.palletType,
+                width: this.boundsHalfX * 2,
+                depth: this.boundsHalfZ * 2,
+                maxStackHeight: this.maxStackHeight,
+                overhang: this.overhang
+            },
+            rules: this.stackingRules,
+            placed: placedBoxes,
+            pending: pending.map(box => box.toJSON())
+        };
+    }
 
-            const dx = Math.abs(mesh.position.x - targetMesh.position.x);
-            const dz = Math.abs(mesh.position.z - targetMesh.position.z);
-            const overlapX = (box.width + targetBox.width) / 2;
-            const overlapZ = (box.depth + targetBox.depth) / 2;
+    /**
+     * Restaura um estado de serialize(). Configuração e fila são aplicadas na hora;
+     * as caixas posicionadas são recriadas quando o palete for posicionado de novo,
+     * reancoradas no novo ponto do hit test.
+     */
+    restore(data) {
+        this.reset();
+        this.configurePallet(data.container);
+        this.stackingRules = createRulesConfig(data.rules);
+        this.plan.configure({}, { rules: this.stackingRules });
+        this.pendingBoxes = data.pending.map(item => Box.fromJSON(item));
+        this.restoreLayout = data.placed.length > 0 ? data.placed : null;
+        this._notifyChange();
+    }
 
-            if (dx < overlapX && dz < overlapZ) return true;
+    // Recria caixas salvas exatamente nas posições locais gravadas, na ordem original
+    _rebuildLayout(layout) {
+        const ordered = [...layout].sort((a, b) => a.order - b.order);
+        this._batchChanges(() => {
+            for (const { box: data, order, position } of ordered) {
+                const box = Box.fromJSON(data);
+                this.placementSeq = order - 1;
+                this._commitBox(box, { x: position.x, z: position.z, stackY: position.y });
+            }
+        });
+    }
+
+    /**
+     * Executa fn com uma só notificação no fim (cores, estatísticas e salvamento
+     * automático), em vez de uma por caixa. Retorna o resultado de fn.
+     */
+    _batchChanges(fn) {
+        const outer = this.batchingChanges;
+        this.batchingChanges = true;
+        try {
+            return fn();
+        } finally {
+            this.batchingChanges = outer;
+            if (!outer) this._notifyChange();
         }
-        return false;
+    }
+
+    _notifyChange() {
+        if (this.batchingChanges) return;
+        this._applyColors();
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Estatísticas de ocupação da carga atual (ver computeLoadStats).
+     */
+    getStats() {
+        return this.plan.getStats();
+    }
+
+    addPendingBoxes(boxes) {
+        this.pendingBoxes.push(...boxes);
+    }
+
+    /**
+     * Arranja automaticamente as caixas pendentes (e a caixa em mão, se houver).
+     * Usa a mesma validação do preview; caixas que não couberem continuam pendentes.
+     * Retorna { success, message, placed, unplaced, utilization }.
+     */
+    autoArrange() {
+        if (!this.palletPlaced) {
+            return { success: false, message: t('pallet.placeFirst') };
+        }
+
+        // O grupo em mão volta ao lugar antes: as posições dele não ficam livres para o arranjo
+        this._cancelGroup();
+        const boxes = [...this.pendingBoxes];
+        if (this.currentBox) {
+            boxes.unshift(this.currentBox);
+            this._removeCurrentBox();
+        }
+        if (boxes.length === 0) {
+            return { success: false, message: t('arrange.nothingPending') };
+        }
+
+        const { placed, unplaced } = this._batchChanges(() => {
+            const arranged = this.plan.autoArrange(boxes, {
+                commit: (box, result) => this._commitBox(box, result)
+            });
+            this.pendingBoxes = arranged.unplaced;
+            return arranged;
+        });
+        const utilization = this.getPlacedVolume() / this.getUsableVolume();
+
+        return {
+            success: placed.length > 0,
+            message: t('arrange.result', {
+                placed: placed.length,
+                unplaced: unplaced.length,
+                utilization: formatPercent(utilization)
+            }),
+            placed,
+            unplaced,
+            utilization
+        };
+    }
+
+    // ========== Esquemas de cores ==========
+
+    setColorScheme(scheme) {
+        if (!COLOR_SCHEMES[scheme]) {
+            return { success: false, message: t('colors.unknownScheme') };
+        }
+        this.colorScheme = scheme;
+        this._applyColors();
+        return { success: true, message: t('colors.schemeSelected', { scheme: t(COLOR_SCHEMES[scheme].label) }) };
+    }
+
+    // Recolore caixas posicionadas e a caixa em mão; a categoria não muda
+    _applyColors() {
+        const entries = this.placedBoxes.map(({ box, mesh, order }) => ({
+            item: makeLoadItem(box, mesh.position.x, mesh.position.y, mesh.position.z),
+            order
+        }));
+        const inHand = this.currentGroup ? this.currentGroup.members.map(m => m.box) : [];
+        if (this.currentBox) inHand.push(this.currentBox);
+        for (const box of inHand) {
+            const { x, y, z } = box.mesh.position;
+            entries.push({ item: makeLoadItem(box, x, y, z), order: null });
+        }
+
+        const { colors, legend } = computeColoring(this.colorScheme, entries, { rules: this.stackingRules });
+        for (const { item } of entries) item.box.setDisplayColor(colors.get(item.box) ?? null);
+        this.colorLegend = legend;
+    }
+
+    // Refaz cores e legenda, cujos rótulos dependem do idioma e das unidades atuais
+    refreshColors() {
+        this._applyColors();
+    }
+
+    // Legenda do esquema atual: [{ color, label }] (color null = cor da categoria)
+    getColorLegend() {
+        return this.colorLegend;
+    }
+
+    // Retorna todos os meshes de caixas já posicionadas (para raycasting externo)
+    getAllMeshes() {
+        return this.placedBoxes.map(e => e.mesh);
     }
 
     // Retira a caixa do estado "posicionada" e a torna móvel novamente como currentBox.
     repositionBox(targetMesh) {
         const entry = this.placedBoxes.find(e => e.mesh === targetMesh);
-        if (!entry) return { success: false, message: 'Caixa não encontrada.' };
+        if (!entry) return { success: false, message: t('box.notFound') };
 
-        if (this._hasBoxOnTop(entry)) {
+        if (this.plan.hasBoxOnTop(entry.box)) {
             return {
                 success: false,
-                message: 'Não é possível reposicionar! Há uma caixa por cima. Mova-a primeiro.'
+                message: t('box.repositionBlocked')
             };
         }
 
         // Cancelar caixa em mão, se houver
         this._removeCurrentBox();
 
+        if (this.selection.includes(entry.box)) {
+            entry.box.setSelected(false);
+            this.selection = this.selection.filter(box => box !== entry.box);
+        }
         this.placedBoxes = this.placedBoxes.filter(e => e.mesh !== targetMesh);
+        this.plan.remove(entry.box);
         this.boxCount--;
+        this._notifyChange();
 
         // A caixa volta a ser o currentBox, permanece no grupo para o preview seguir o hit test
         entry.box.setPreviewMode(true);
         entry.box.setRemovalHighlight(false);
         this.currentBox = entry.box;
         this.previewValid = false;
+        this._applyColors();
+
+        return { success: true, message: t('box.readyToReposition', { color: entry.box.getColorName() }) };
+    }
+
+    // Põe na seleção, ou tira dela, a caixa posicionada do mesh
+    toggleSelection(targetMesh) {
+        const entry = this.placedBoxes.find(e => e.mesh === targetMesh);
+        if (!entry) return { success: false, message: t('box.notFound') };
+
+        const selected = !this.selection.includes(entry.box);
+        this.selection = selected
+            ? [...this.selection, entry.box]
+            : this.selection.filter(box => box !== entry.box);
+        entry.box.setSelected(selected);
+        return { success: true, message: t('group.selection', { count: this.selection.length }) };
+    }
+
+    // Acrescenta à seleção a caixa do mesh e toda a coluna empilhada sobre ela
+    selectStack(targetMesh) {
+        const entry = this.placedBoxes.find(e => e.mesh === targetMesh);
+        if (!entry) return { success: false, message: t('box.notFound') };
+
+        const stack = this.plan.getStackAbove(entry.box);
+        for (const box of stack) {
+            if (!this.selection.includes(box)) this.selection.push(box);
+            box.setSelected(true);
+        }
+        return { success: true, message: t('group.stackSelected', { count: stack.length }) };
+    }
+
+    clearSelection() {
+        for (const box of this.selection) box.setSelected(false);
+        this.selection = [];
+    }
+
+    /**
+     * Retira as caixas selecionadas do plano e as torna móveis juntas (currentGroup),
+     * como um bloco rígido. Nenhuma caixa fora da seleção pode estar sobre elas.
+     */
+    repositionSelection() {
+        if (this.selection.length === 0) return { success: false, message: t('group.empty') };
+
+        const blocked = this.selection.some(box =>
+            this.plan.getBoxesOnTop(box).some(other => !this.selection.includes(other)));
+        if (blocked) return { success: false, message: t('group.blocked') };
+
+        this._removeCurrentBox();
+
+        const layout = this.plan.getGroupLayout(this.selection);
+        for (const { box } of layout.members) {
+            this.plan.remove(box);
+            box.setPreviewMode(true);
+            box.setRemovalHighlight(false);
+        }
+        this.placedBoxes = this.placedBoxes.filter(e => !this.selection.includes(e.box));
+        this.boxCount -= layout.members.length;
+        this.currentGroup = layout;
+        this.previewValid = false;
+        this._notifyChange();
 
-        return { success: true, message: `Caixa ${entry.box.getColorName()} pronta para reposicionar!` };
+        return { success: true, message: t('group.readyToMove', { count: layout.members.length }) };
+    }
+
+    // Devolve o grupo em mão às posições e à ordem de carregamento originais
+    _cancelGroup() {
+        if (!this.currentGroup) return;
+        for (const { box, placement } of this.currentGroup.members) {
+            const { x, y, z, order } = placement;
+            this.plan.place(box, x, y, z, order);
+            box.mesh.position.set(x, y, z);
+            box.setPreviewMode(false);
+            box.setErrorHighlight(false);
+            this.placedBoxes.push({ box, mesh: box.mesh, order });
+        }
+        this.boxCount += this.currentGroup.members.length;
+        this.currentGroup = null;
+        this._notifyChange();
+    }
+
+    /**
+     * Caixas posicionadas { box, order, position }, contando o grupo em mão nas
+     * posições originais: mover um grupo só muda o estado salvo quando ele é solto.
+     */
+    _getPlacedEntries() {
+        const entries = this.placedBoxes.map(({ box, mesh, order }) => ({ box, order, position: mesh.position }));
+        for (const { box, placement } of this.currentGroup?.members ?? []) {
+            entries.push({ box, order: placement.order, position: new THREE.Vector3(placement.x, placement.y, placement.z) });
+        }
+        return entries;
+    }
+
+    /**
+     * Descarta a caixa em mão. Caixas do manifesto voltam para o fim da fila.
+     * Sem caixa em mão, cancela o grupo em mão ou limpa a seleção.
+     */
+    discardCurrentBox() {
+        if (this.currentGroup) {
+            this._removeCurrentBox();
+            return { success: true, message: t('group.moveCancelled') };
+        }
+        const box = this.currentBox;
+        if (!box && this.selection.length > 0) {
+            this.clearSelection();
+            return { success: true, message: t('group.selectionCleared') };
+        }
+        if (!box) return { success: false, message: t('box.noneInHand') };
+
+        this._removeCurrentBox();
+        if (box.sku) {
+            this.pendingBoxes.push(box);
+            return { success: true, message: t('box.returnedToQueue', { sku: box.sku }) };
+        }
+        return { success: true, message: t('box.discarded') };
+    }
+
+    /**
+     * Fecha o palete montado como uma unidade de carga (ver palletLoad.js), para
+     * ser carregada no caminhão, e libera o módulo para montar o próximo.
+     * A fila de pendentes é mantida; a caixa em mão do manifesto volta para ela.
+     * Retorna { success, message, unit }.
+     */
+    takePalletLoad() {
+        if (!this.palletPlaced) return { success: false, message: t('pallet.placeFirst') };
+        this._cancelGroup();
+        if (this.placedBoxes.length === 0) return { success: false, message: t('pallet.empty') };
+
+        const ordered = [...this.placedBoxes].sort((a, b) => a.order - b.order);
+        const unit = new PalletLoad({
+            type: this.palletType,
+            label: PALLET_TYPES[this.palletType].label,
+            width: this.boundsHalfX * 2,
+            depth: this.boundsHalfZ * 2,
+            floorY: this.floorY,
+            boxes: ordered.map(({ box, mesh }) => ({
+                box: box.toJSON(),
+                position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z }
+            }))
+        });
+
+        const current = this.currentBox;
+        const pending = this.pendingBoxes;
+        this.reset();
+        this.pendingBoxes = current && current.sku ? [current, ...pending] : pending;
+        this._notifyChange();
+
+        return {
+            success: true,
+            message: t('pallet.closed', { sku: unit.sku, count: ordered.length, mass: formatMass(unit.mass) }),
+            unit
+        };
+    }
+
+    /**
+     * Memento para desfazer/refazer: referências às mesmas caixas com posição,
+     * orientação e ordem, além do container, fila e contadores.
+     */
+    createMemento() {
+        return {
+            container: this.serialize().container,
+            containerPosition: this.palletPlaced ? this.palletGroup.position.clone() : null,
+            containerRotation: this.palletPlaced ? this.palletGroup.rotation.y : 0,
+            placed: this._getPlacedEntries().map(({ box, order, position }) => ({
+                box,
+                order,
+                orientation: box.orientation,
+                position: position.clone()
+            })),
+            pending: [...this.pendingBoxes],
+            currentBox: this.currentBox,
+            currentOrientation: this.currentBox ? this.currentBox.orientation : 0,
+            restoreLayout: this.restoreLayout,
+            boxCount: this.boxCount + (this.currentGroup?.members.length ?? 0),
+            placementSeq: this.placementSeq
+        };
+    }
+
+    restoreMemento(memento) {
+        // Tira todas as caixas da cena; as do memento são recolocadas abaixo
+        this._removeCurrentBox();
+        this.clearSelection();
+        for (const { mesh } of this.placedBoxes) {
+            if (mesh.parent) mesh.parent.remove(mesh);
+        }
+        this.placedBoxes = [];
+        this.plan.clear();
+        this.restoreLayout = null;
+
+        if (!memento.containerPosition && this.palletPlaced) {
+            this.scene.remove(this.palletGroup);
+            this.palletGroup = null;
+            this.palletPlaced = false;
+        } else if (memento.containerPosition && !this.palletPlaced) {
+            this.configurePallet(memento.container);
+            this.placePallet(memento.containerPosition, memento.containerRotation);
+        } else if (memento.containerPosition) {
+            // Desfaz/refaz giros e deslocamentos manuais do container
+            this.palletGroup.position.copy(memento.containerPosition);
+            this.palletGroup.rotation.y = memento.containerRotation;
+        }
+
+        for (const { box, order, orientation, position } of memento.placed) {
+            box.setOrientation(orientation);
+            box.setPreviewMode(false);
+            box.setErrorHighlight(false);
+            box.setRemovalHighlight(false);
+            this.plan.place(box, position.x, position.y, position.z, order);
+            box.mesh.position.copy(position);
+            this.palletGroup.add(box.mesh);
+            this.placedBoxes.push({ box, mesh: box.mesh, order });
+        }
+
+        this.pendingBoxes = [...memento.pending];
+        this.restoreLayout = memento.restoreLayout;
+        this.boxCount = memento.boxCount;
+        this.placementSeq = memento.placementSeq;
+
+        if (memento.currentBox) {
+            this.currentBox = memento.currentBox;
+            this.currentBox.setOrientation(memento.currentOrientation);
+            this.currentBox.setPreviewMode(true);
+            this.currentBox.setRemovalHighlight(false);
+        }
+        // Sugestões eram para outro layout (ou outra caixa em mão)
+        this._clearSuggestions();
+        this.previewValid = false;
+        this._notifyChange();
     }
 
     _removeCurrentBox() {
+        this._cancelGroup();
         if (this.currentBox && this.currentBox.mesh.parent) {
             this.currentBox.mesh.parent.remove(this.currentBox.mesh);
         }
         this.currentBox = null;
+        this.previewResult = null;
+        this.supportIndicator.hide();
+        this.snapGuides.hide();
+        this._clearSuggestions();
+    }
+
+    /**
+     * Procura as melhores posições para a caixa em mão, na orientação atual
+     * (ver LoadPlan.suggest): caixa fantasma na melhor e contornos nas alternativas.
+     * Com o encaixe ativo, o preview é puxado para elas.
+     */
+    suggestPosition() {
+        if (!this.palletPlaced) return { success: false, message: t('pallet.placeFirst') };
+        if (!this.currentBox) return { success: false, message: t('box.generateFirst') };
+
+        this.suggestions = this.plan.suggest(this.currentBox, SUGGESTION_COUNT);
+        this.suggestionMarkers.update(this.currentBox, this.suggestions);
+        this.previewValid = false;
+        if (this.suggestions.length === 0) {
+            return { success: false, message: t('suggest.none') };
+        }
+        const alternatives = this.suggestions.length - 1;
+        return {
+            success: true,
+            message: alternatives > 0 ? t('suggest.found', { count: alternatives }) : t('suggest.best')
+        };
+    }
+
+    _clearSuggestions() {
+        this.suggestions = [];
+        this.suggestionMarkers.hide();
     }
 
     reset() {
         this._removeCurrentBox();
+        this.clearSelection();
         if (this.palletGroup) {
             this.scene.remove(this.palletGroup);
             this.palletGroup = null;
         }
         this.palletPlaced = false;
         this.placedBoxes = [];
+        this.plan.clear();
+        this.pendingBoxes = [];
         this.boxCount = 0;
+        this.placementSeq = 0;
+        this.restoreLayout = null;
         this.previewValid = false;
+        this._notifyChange();
     }
 
     isPalletPlaced() { return this.palletPlaced; }
     getBoxCount() { return this.boxCount; }
+    getTotalMass() { return totalMass(this.placedBoxes.map(e => e.box)); }
+    getPlacedVolume() { return this.placedBoxes.reduce((sum, e) => sum + e.box.volume, 0); }
+    getPendingCount() { return this.pendingBoxes.length; }
+    hasRestoreLayout() { return this.restoreLayout !== null; }
+
+    // Itens pendentes agrupados por SKU: [{ sku, description, count }]
+    getPendingSummary() {
+        const groups = new Map();
+        for (const box of this.pendingBoxes) {
+            const key = box.sku ?? '';
+            const group = groups.get(key) || { sku: box.sku, description: box.description, count: 0 };
+            group.count++;
+            groups.set(key, group);
+        }
+        return [...groups.values()];
+    }
+
+    // Volume útil: área do palete com sobra lateral até a altura máxima de carga
+    getUsableVolume() {
+        return this.plan.getUsableVolume();
+    }
 }
@@ -0,0 +1,127 @@
+// Entregas com várias paradas (multi-drop) na caçamba.
+// Módulo puro (sem three.js): itens { box, x, y, z } em coords locais (ver weight.js),
+// onde box.stop é a parada de entrega (1 = primeira) ou null (sem parada).
+//
+// A porta fica em +Z: uma caixa bloqueia outra se está apoiada por cima dela
+// ou entre ela e a porta (mais para +Z, cruzando a mesma faixa de X e Y).
+// Caixas sem parada saem por último: não podem bloquear as de nenhuma parada.
+
+import { SURFACE_EPSILON } from './support.js';
+import { t } from './i18n.js';
+
+// Paleta cíclica de cores por parada
+export const STOP_COLORS = [
+    '#f1c40f', '#9b59b6', '#1abc9c', '#e67e22',
+    '#e84393', '#00cec9', '#6c5ce7', '#fdcb6e'
+];
+
+export function getStopColor(stop) {
+    return STOP_COLORS[(stop - 1) % STOP_COLORS.length];
+}
+
+function extents(item) {
+    const { box } = item;
+    return {
+        minX: item.x - box.width / 2, maxX: item.x + box.width / 2,
+        minY: item.y - box.height / 2, maxY: item.y + box.height / 2,
+        minZ: item.z - box.depth / 2, maxZ: item.z + box.depth / 2
+    };
+}
+
+// Posição na ordem de descarga; sem parada conta como depois da última (ver compareStops)
+function stopRank(stop) {
+    return stop ?? Infinity;
+}
+
+function overlaps(minA, maxA, minB, maxB) {
+    return Math.min(maxA, maxB) - Math.max(minA, minB) > SURFACE_EPSILON;
+}
+
+/**
+ * Como blocker impede a retirada de blocked: 'above', 'front' ou null.
+ */
+export function getBlockRelation(blocker, blocked) {
+    const a = extents(blocker);
+    const b = extents(blocked);
+
+    if (overlaps(a.minX, a.maxX, b.minX, b.maxX) && overlaps(a.minZ, a.maxZ, b.minZ, b.maxZ) &&
+        a.minY >= b.maxY - SURFACE_EPSILON) {
+        return 'above';
+    }
+    if (overlaps(a.minX, a.maxX, b.minX, b.maxX) && overlaps(a.minY, a.maxY, b.minY, b.maxY) &&
+        a.minZ >= b.maxZ - SURFACE_EPSILON) {
+        return 'front';
+    }
+    return null;
+}
+
+/**
+ * Verifica a ordem de descarga caso newItem seja posicionado: uma caixa de parada
+ * posterior não pode ficar por cima nem à frente de uma de parada anterior.
+ * placed: SpatialIndex dos itens já posicionados (ver spatialIndex.js).
+ */
+export function getDeliveryError(newItem, placed) {
+    const stop = newItem.box.stop ?? null;
+    const rank = stopRank(stop);
+
+    // Só bloqueiam (ou são bloqueadas) as caixas na mesma faixa de X, em todo o comprimento
+    const { minX, maxX } = extents(newItem);
+    for (const other of placed.query({ minX, maxX, minZ: -Infinity, maxZ: Infinity })) {
+        const otherStop = other.box.stop ?? null;
+        const otherRank = stopRank(otherStop);
+        if (otherRank === rank) continue;
+
+        if (otherRank < rank) {
+            const relation = getBlockRelation(newItem, other);
+            if (relation) {
+                return stop === null
+                    ? t(`delivery.noStopWouldBlock.${relation}`, { otherStop })
+                    : t(`delivery.wouldBlock.${relation}`, { stop, otherStop });
+            }
+        } else {
+            const relation = getBlockRelation(other, newItem);
+            if (relation) {
+                return otherStop === null
+                    ? t(`delivery.wouldBeBlockedByNoStop.${relation}`, { stop })
+                    : t(`delivery.wouldBeBlocked.${relation}`, { stop, otherStop });
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Primeira parada ainda na caçamba, ou null se não houver caixas com parada.
+ */
+export function getNextStop(items) {
+    const stops = items.map(item => item.box.stop).filter(stop => stop != null);
+    return stops.length > 0 ? Math.min(...stops) : null;
+}
+
+/**
+ * Itens que impedem a retirada de targets (qualquer item fora de targets,
+ * inclusive sem parada, por cima ou à frente de algum deles).
+ */
+export function findBlockers(targets, items) {
+    const targetSet = new Set(targets);
+    return items.filter(other => !targetSet.has(other) &&
+        targets.some(target => getBlockRelation(other, target)));
+}
+
+/**
+ * Resumo por parada, em ordem de entrega (sem parada por último):
+ * [{ stop, count, mass, volume }]
+ */
+export function computeStopSummary(items) {
+    const groups = new Map();
+    for (const { box } of items) {
+        const stop = box.stop ?? null;
+        if (!groups.has(stop)) groups.set(stop, { stop, count: 0, mass: 0, volume: 0 });
+        const group = groups.get(stop);
+        group.count++;
+        group.mass += box.mass;
+        group.volume += box.volume;
+    }
+    return [...groups.values()].sort((a, b) =>
+        (a.stop ?? Infinity) - (b.stop ?? Infinity));
+}
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+// Deslocamento máximo (px) entre pointerdown e pointerup para contar como clique, não arrasto
+const CLICK_TOLERANCE = 5;
+
+/**
+ * Modo 3D sem AR (desktop): câmera orbital, piso virtual e raycasting do mouse.
+ * Expõe a mesma interface do HitTestManager (update, getHitPosition, getHitMatrix,
+ * isHitDetected), de modo que CubagemModule e PickingModule funcionam sem alterações.
+ */
+export class DesktopViewer {
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.enabled = false;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerInside = false;
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.hitPoint = null;
+        this.onClick = null; // callback para clique (sem arrasto) no canvas
+
+        this.floor = this._createFloor();
+        this.reticle = this._createReticle();
+        this.controls = null;
+        this._downAt = null;
+
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onPointerLeave = () => { this.pointerInside = false; };
+    }
+
+    _createFloor() {
+        const group = new THREE.Group();
+        const grid = new THREE.GridHelper(10, 50, 0x888888, 0x444444);
+        group.add(grid);
+
+        const plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(10, 10).rotateX(-Math.PI / 2),
+            new THREE.MeshStandardMaterial({ color: 0x2a2a3e, roughness: 1 })
+        );
+        plane.position.y = -0.001;
+        group.add(plane);
+        group.visible = false;
+        return group;
+    }
+
+    // Mesmo visual do retículo do hit test
+    _createReticle() {
+        const ring = new THREE.RingGeometry(0.05, 0.07, 32).rotateX(-Math.PI / 2);
+        const reticle = new THREE.Mesh(ring, new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.7
+        }));
+        reticle.visible = false;
+        return reticle;
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+
+        this.camera.position.set(1.8, 1.6, 2.4);
+        this.camera.lookAt(0, 0, 0);
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.target.set(0, 0.3, 0);
+        this.controls.maxPolarAngle = Math.PI / 2 - 0.05; // não passar abaixo do piso
+        this.controls.update();
+
+        this.scene.add(this.floor, this.reticle);
+        this.floor.visible = true;
+
+        const el = this.renderer.domElement;
+        el.addEventListener('pointermove', this._onPointerMove);
+        el.addEventListener('pointerdown', this._onPointerDown);
+        el.addEventListener('pointerup', this._onPointerUp);
+        el.addEventListener('pointerleave', this._onPointerLeave);
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+
+        this.controls.dispose();
+        this.controls = null;
+        this.scene.remove(this.floor, this.reticle);
+        this.hitPoint = null;
+
+        const el = this.renderer.domElement;
+        el.removeEventListener('pointermove', this._onPointerMove);
+        el.removeEventListener('pointerdown', this._onPointerDown);
+        el.removeEventListener('pointerup', this._onPointerUp);
+        el.removeEventListener('pointerleave', this._onPointerLeave);
+    }
+
+    _onPointerMove(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.pointerInside = true;
+    }
+
+    _onPointerDown(event) {
+        this._downAt = { x: event.clientX, y: event.clientY };
+    }
+
+    _onPointerUp(event) {
+        if (!this._downAt) return;
+        const moved = Math.hypot(event.clientX - this._downAt.x, event.clientY - this._downAt.y);
+        this._downAt = null;
+        if (moved <= CLICK_TOLERANCE && event.button === 0 && this.onClick) this.onClick();
+    }
+
+    // Chamado a cada frame: atualiza a interseção do raio do mouse com o piso
+    update() {
+        this.controls.update();
+        this.hitPoint = null;
+
+        if (this.pointerInside) {
+            this.raycaster.setFromCamera(this.pointer, this.camera);
+            const point = new THREE.Vector3();
+            if (this.raycaster.ray.intersectPlane(this.floorPlane, point)) {
+                this.hitPoint = point;
+            }
+        }
+
+        this.reticle.visible = this.hitPoint !== null;
+        if (this.hitPoint) this.reticle.position.copy(this.hitPoint);
+    }
+
+    getHitPosition() {
+        return this.hitPoint ? this.hitPoint.clone() : null;
+    }
+
+    getHitMatrix() {
+        if (!this.hitPoint) return null;
+        return new THREE.Matrix4().makeTranslation(this.hitPoint.x, this.hitPoint.y, this.hitPoint.z);
+    }
+
+    // Piso virtual alinhado aos eixos do mundo
+    getHitYaw() {
+        return 0;
+    }
+
+    isHitDetected() {
+        return this.hitPoint !== null;
+    }
+
+    // Raio do mouse (substitui o raio do centro da câmera usado no AR)
+    getAimRay(raycaster) {
+        raycaster.setFromCamera(this.pointer, this.camera);
+        return this.pointerInside;
+    }
+}
@@ -0,0 +1,173 @@
+// Exportação do plano de carga: JSON, CSV e relatório HTML imprimível.
+// Módulo puro (sem three.js): recebe o plano produzido por getPlan() dos módulos.
+//
+// plan: {
+//   mode, createdAt,
+//   container: { kind, name, width, depth, floorY, maxHeight, maxPayload, ... },
+//   boxes: [{ id, order, sku, description, colorCategory, color, mass,
+//             fragile, thisSideUp, category, size: { width, height, depth }, width, height, depth,
+//             orientation, position: { x, y, z } }],
+//   stats: resultado de computeLoadStats
+// }
+//
+// JSON e CSV são para máquinas: SI e ponto decimal, em qualquer idioma. O relatório
+// segue o idioma e o sistema de unidades da interface, como o HUD.
+
+import { getColorName } from './boxData.js';
+import {
+    t, getLanguage, formatPercent, formatLength, formatVolume, formatMass, formatDims
+} from './i18n.js';
+
+const CSV_COLUMNS = [
+    ['order', b => b.order],
+    ['id', b => b.id],
+    ['sku', b => b.sku ?? ''],
+    ['description', b => b.description ?? ''],
+    ['color', b => b.colorCategory],
+    ['mass_kg', b => b.mass.toFixed(2)],
+    ['width_m', b => b.width.toFixed(3)],
+    ['height_m', b => b.height.toFixed(3)],
+    ['depth_m', b => b.depth.toFixed(3)],
+    ['orientation', b => b.orientation],
+    ['x_m', b => b.position.x.toFixed(3)],
+    ['y_m', b => b.position.y.toFixed(3)],
+    ['z_m', b => b.position.z.toFixed(3)]
+];
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function byOrder(plan) {
+    return [...plan.boxes].sort((a, b) => a.order - b.order);
+}
+
+export function planToJSON(plan) {
+    return JSON.stringify(plan, null, 2);
+}
+
+/**
+ * Cabeçalho e uma linha por caixa, na ordem de carregamento. Os metadados do
+ * container ficam só no JSON, para o arquivo abrir limpo em planilhas.
+ */
+export function planToCSV(plan) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    for (const box of byOrder(plan)) {
+        lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(box))).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// ========== Diagramas SVG ==========
+const DIAGRAM_WIDTH = 420; // px
+
+/**
+ * Vista superior (X horizontal, Z vertical) ou lateral (Z horizontal, Y vertical).
+ */
+function diagramSVG(plan, view) {
+    const c = plan.container;
+    const top = view === 'top';
+    const halfW = c.width / 2 + (c.overhang ?? 0);
+    const halfD = c.depth / 2 + (c.overhang ?? 0);
+    const spanH = top ? halfW * 2 : halfD * 2;
+    const spanV = top ? halfD * 2 : c.maxHeight;
+    const scale = DIAGRAM_WIDTH / spanH;
+    const height = spanV * scale;
+
+    // Em planta, caixas mais altas por cima; de lado, as mais próximas (+X) por cima
+    const boxes = [...plan.boxes].sort(top
+        ? (a, b) => a.position.y - b.position.y
+        : (a, b) => a.position.x - b.position.x);
+
+    const rects = boxes.map(b => {
+        const cx = top ? b.position.x + halfW : b.position.z + halfD;
+        const cy = top ? b.position.z + halfD : c.maxHeight - b.position.y;
+        const w = (top ? b.width : b.depth) * scale;
+        const h = (top ? b.depth : b.height) * scale;
+        const x = cx * scale - w / 2;
+        const y = cy * scale - h / 2;
+        return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${w.toFixed(1)}" ` +
+            `height="${h.toFixed(1)}" fill="${b.color}" fill-opacity="0.8" stroke="#222"/>` +
+            `<text x="${(x + w / 2).toFixed(1)}" y="${(y + h / 2 + 4).toFixed(1)}" ` +
+            `text-anchor="middle" font-size="11">${b.order}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${DIAGRAM_WIDTH}" ` +
+        `height="${height.toFixed(0)}" viewBox="0 0 ${DIAGRAM_WIDTH} ${height.toFixed(1)}">` +
+        `<rect width="100%" height="100%" fill="#f4f4f4" stroke="#000"/>${rects}</svg>`;
+}
+
+/**
+ * Relatório HTML autocontido: metadados, vistas superior e lateral
+ * e a sequência de carregamento passo a passo.
+ */
+export function planToReportHTML(plan) {
+    const c = plan.container;
+    const s = plan.stats;
+    const title = t('report.title', { name: c.name });
+    const rows = byOrder(plan).map(b => `
+            <tr>
+                <td>${b.order}</td>
+                <td>${escapeHTML(b.sku ?? b.id)}</td>
+                <td>${escapeHTML(b.description)}</td>
+                <td><span class="dot" style="background:${b.color}"></span>${escapeHTML(getColorName(b.colorCategory))}</td>
+                <td>${formatDims(b.width, b.height, b.depth)}</td>
+                <td>${formatMass(b.mass)}</td>
+                <td>${[b.position.x, b.position.y, b.position.z].map(v => formatLength(v)).join('; ')}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(title)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 24px; color: #222; }
+        h1 { font-size: 1.3rem; }
+        .views { display: flex; gap: 24px; flex-wrap: wrap; }
+        table { border-collapse: collapse; width: 100%; margin-top: 16px; font-size: 0.85rem; }
+        th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+        .dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 4px; }
+        @media print { button { display: none; } }
+    </style>
+</head>
+<body>
+    <button onclick="window.print()">${escapeHTML(t('report.print'))}</button>
+    <h1>${escapeHTML(title)}</h1>
+    <p>
+        ${escapeHTML(t('report.summary', {
+            createdAt: new Date(plan.createdAt).toLocaleString(getLanguage()),
+            size: `${formatLength(c.width)} × ${formatLength(c.depth)}`,
+            maxHeight: formatLength(c.maxHeight),
+            count: s.count,
+            volume: formatVolume(s.loadedVolume),
+            utilization: formatPercent(s.utilization),
+            mass: `${formatMass(s.totalMass)} / ${formatMass(c.maxPayload)}`
+        }))}
+    </p>
+    <div class="views">
+        <div><h2>${escapeHTML(t('report.topView'))}</h2>${diagramSVG(plan, 'top')}</div>
+        <div><h2>${escapeHTML(t('report.sideView'))}</h2>${diagramSVG(plan, 'side')}</div>
+    </div>
+    <h2>${escapeHTML(t('report.sequence'))}</h2>
+    <table>
+        <thead>
+            <tr><th>#</th><th>SKU/ID</th><th>${escapeHTML(t('report.description'))}</th><th>${escapeHTML(t('report.color'))}</th>
+                <th>${escapeHTML(t('report.dims'))}</th><th>${escapeHTML(t('report.mass'))}</th><th>${escapeHTML(t('report.position'))}</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,51 @@
+// Histórico de ações para desfazer/refazer.
+// Cada entrada guarda os mementos do módulo antes e depois da ação
+// (ver createMemento/restoreMemento em CubagemModule e PickingModule).
+
+const DEFAULT_LIMIT = 50;
+
+export class History {
+    constructor(limit = DEFAULT_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Registra uma ação concluída; descarta o que havia para refazer.
+     * extra: campos adicionais da entrada (ex.: transfer, ver app.js).
+     */
+    record(label, before, after, extra = {}) {
+        this.undoStack.push({ label, before, after, ...extra });
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // Retorna a entrada desfeita (aplique entry.before) ou null
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    // Retorna a entrada refeita (aplique entry.after) ou null
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    // Próxima entrada a desfazer/refazer, sem tirá-la da pilha
+    peekUndo() { return this.undoStack[this.undoStack.length - 1] ?? null; }
+    peekRedo() { return this.redoStack[this.redoStack.length - 1] ?? null; }
+
+    canUndo() { return this.undoStack.length > 0; }
+    canRedo() { return this.redoStack.length > 0; }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
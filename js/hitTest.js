@@ -73,6 +73,18 @@ export class HitTestManager {
         return matrix;
     }
 
+    /**
+     * Giro da pose do hit em torno da vertical (rad). Só o giro é usado para
+     * orientar o container: ele continua nivelado mesmo se o plano detectado oscilar.
+     */
+    getHitYaw() {
+        const matrix = this.getHitMatrix();
+        if (!matrix) return 0;
+        const axisZ = new THREE.Vector3().setFromMatrixColumn(matrix, 2);
+        if (Math.hypot(axisZ.x, axisZ.z) < 1e-3) return 0; // superfície vertical
+        return Math.atan2(axisZ.x, axisZ.z);
+    }
+
     isHitDetected() {
         return this.hitPose !== null;
     }
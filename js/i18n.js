@@ -0,0 +1,142 @@
+// Idioma e unidades da interface: catálogo de mensagens (messages.js), troca de
+// idioma em tempo de execução e formatação de números e medidas conforme o locale
+// e o sistema de unidades. Módulo puro: só applyTranslations toca no DOM.
+//
+// Os modelos guardam tudo em SI (m, m³, kg); a conversão para o sistema imperial
+// acontece só na hora de exibir.
+
+import { MESSAGES } from './messages.js';
+
+export const Language = {
+    PT_BR: 'pt-BR',
+    EN: 'en',
+    ES: 'es'
+};
+
+// Nome de cada idioma no próprio idioma (seletor do overlay)
+export const LANGUAGE_NAMES = {
+    [Language.PT_BR]: 'Português',
+    [Language.EN]: 'English',
+    [Language.ES]: 'Español'
+};
+
+export const DEFAULT_LANGUAGE = Language.PT_BR;
+
+export const UnitSystem = {
+    METRIC: 'metric',
+    IMPERIAL: 'imperial'
+};
+
+// Unidade, fator de conversão a partir do SI e casas decimais padrão
+const UNITS = {
+    [UnitSystem.METRIC]: {
+        length: { unit: 'm', factor: 1, digits: 2 },
+        volume: { unit: 'm³', factor: 1, digits: 3 },
+        mass: { unit: 'kg', factor: 1, digits: 1 }
+    },
+    [UnitSystem.IMPERIAL]: {
+        length: { unit: 'in', factor: 1 / 0.0254, digits: 1 },
+        volume: { unit: 'ft³', factor: 35.3147, digits: 2 },
+        mass: { unit: 'lb', factor: 2.20462, digits: 1 }
+    }
+};
+
+let language = DEFAULT_LANGUAGE;
+let unitSystem = UnitSystem.METRIC;
+const numberFormats = new Map(); // "idioma|casas" -> Intl.NumberFormat
+
+/**
+ * Idioma suportado correspondente a um código do navegador ("en-US" -> "en"),
+ * ou null.
+ */
+export function resolveLanguage(code) {
+    const lower = String(code ?? '').toLowerCase();
+    if (lower.startsWith('pt')) return Language.PT_BR;
+    if (lower.startsWith('en')) return Language.EN;
+    if (lower.startsWith('es')) return Language.ES;
+    return null;
+}
+
+export function getLanguage() {
+    return language;
+}
+
+// Retorna false (sem mudar nada) para idioma sem catálogo
+export function setLanguage(code) {
+    if (!MESSAGES[code]) return false;
+    language = code;
+    return true;
+}
+
+export function getUnitSystem() {
+    return unitSystem;
+}
+
+export function setUnitSystem(system) {
+    if (!UNITS[system]) return false;
+    unitSystem = system;
+    return true;
+}
+
+/**
+ * Mensagem traduzida, com {nome} substituído por params.nome. Sem tradução no
+ * idioma atual, usa pt-BR; chave desconhecida volta como está, então rótulos
+ * literais (nomes de carroceria, regras registradas por terceiros) passam direto.
+ */
+export function t(key, params = {}) {
+    const template = MESSAGES[language][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function formatNumber(value, digits = 0) {
+    const key = `${language}|${digits}`;
+    if (!numberFormats.has(key)) {
+        numberFormats.set(key, new Intl.NumberFormat(language, {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }));
+    }
+    return numberFormats.get(key).format(value);
+}
+
+// Fração (0–1) como porcentagem: 0.256 -> "25,6%"
+export function formatPercent(fraction, digits = 1) {
+    return `${formatNumber(fraction * 100, digits)}%`;
+}
+
+function formatMeasure(kind, value, digits) {
+    const { unit, factor, digits: defaultDigits } = UNITS[unitSystem][kind];
+    return `${formatNumber(value * factor, digits ?? defaultDigits)} ${unit}`;
+}
+
+// Comprimento em metros, no sistema de unidades atual
+export function formatLength(meters, digits) {
+    return formatMeasure('length', meters, digits);
+}
+
+export function formatVolume(cubicMeters, digits) {
+    return formatMeasure('volume', cubicMeters, digits);
+}
+
+export function formatMass(kg, digits) {
+    return formatMeasure('mass', kg, digits);
+}
+
+// Dimensões "L x A x P" com a unidade uma única vez no fim
+export function formatDims(width, height, depth) {
+    const { unit, factor, digits } = UNITS[unitSystem].length;
+    const values = [width, height, depth].map(value => formatNumber(value * factor, digits));
+    return `${values.join(' x ')} ${unit}`;
+}
+
+/**
+ * Traduz os elementos estáticos marcados no HTML:
+ *   data-i18n             -> textContent
+ *   data-i18n-placeholder -> placeholder
+ *   data-i18n-title       -> title
+ */
+export function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
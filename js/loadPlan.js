@@ -0,0 +1,450 @@
+// Modelo de plano de carga sem three.js: container, caixas posicionadas e validação.
+// Aplica as mesmas verificações do preview manual (caixa mais alta sob a base, apoio,
+// regras de empilhamento, limites e altura, ordem de descarga, esmagamento e carga
+// útil) em coords locais do container, com o piso centrado na origem.
+//
+// CubagemModule e PickingModule guardam aqui as posições e desenham os meshes a partir
+// delas; em Node, o mesmo modelo monta, valida e pontua planos com BoxData (boxData.js).
+
+import { buildStackContext, evaluateStackingRules, joinViolations, createRulesConfig } from './stacking.js';
+import {
+    computeSupport, footprintAt, getSupportError,
+    SURFACE_EPSILON, DEFAULT_MIN_SUPPORT_RATIO, SupportMode
+} from './support.js';
+import { getLoadError } from './weight.js';
+import { getDeliveryError } from './delivery.js';
+import { computeLoadStats } from './stats.js';
+import { autoArrange, suggestPositions } from './packing.js';
+import { SpatialIndex } from './spatialIndex.js';
+import { BoxData } from './boxData.js';
+import { t, formatLength } from './i18n.js';
+
+export const ContainerKind = {
+    PALLET: 'pallet',
+    TRUCK: 'truck'
+};
+
+// Mensagens de limite por tipo de container
+const BOUNDS_MESSAGES = {
+    [ContainerKind.PALLET]: {
+        size: () => t('pallet.boxTooLarge'),
+        height: maxHeight => t('pallet.boxTooTall', { maxHeight: formatLength(maxHeight) })
+    },
+    [ContainerKind.TRUCK]: {
+        size: () => t('truck.boxTooLarge'),
+        height: () => t('truck.boxTooTall')
+    }
+};
+
+/**
+ * container: {
+ *   kind         ContainerKind (muda só as mensagens)
+ *   width, depth piso útil (m), centrado na origem
+ *   floorY       altura do piso
+ *   maxHeight    topo máximo da carga, na mesma referência de floorY
+ *   overhang     quanto a carga pode ultrapassar cada borda do piso (m)
+ *   maxPayload   carga útil (kg)
+ * }
+ * options: {
+ *   rules            configuração das regras de empilhamento (createRulesConfig)
+ *   minSupportRatio, supportMode   ver support.js
+ *   deliveryOrder    verifica a ordem de descarga das paradas (delivery.js)
+ * }
+ */
+export class LoadPlan {
+    constructor(container, options = {}) {
+        this.placements = []; // { box, x, y, z, order }: centro da caixa, ordem de carregamento
+        this.index = new SpatialIndex();
+        this.seq = 0;
+        this.configure(container, options);
+    }
+
+    // Altera container e opções; campos omitidos não mudam
+    configure(container = {}, options = {}) {
+        this.container = { overhang: 0, ...this.container, ...container };
+        this.rules = options.rules ?? this.rules ?? createRulesConfig();
+        this.minSupportRatio = options.minSupportRatio ?? this.minSupportRatio ?? DEFAULT_MIN_SUPPORT_RATIO;
+        this.supportMode = options.supportMode ?? this.supportMode ?? SupportMode.REJECT;
+        this.deliveryOrder = options.deliveryOrder ?? this.deliveryOrder ?? false;
+    }
+
+    // Opções atuais, no formato do construtor
+    getOptions() {
+        return {
+            rules: this.rules,
+            minSupportRatio: this.minSupportRatio,
+            supportMode: this.supportMode,
+            deliveryOrder: this.deliveryOrder
+        };
+    }
+
+    // Piso do container (sem sobra lateral)
+    getFloorRect() {
+        const { width, depth } = this.container;
+        return { minX: -width / 2, maxX: width / 2, minZ: -depth / 2, maxZ: depth / 2 };
+    }
+
+    // Área onde a carga pode ficar (piso mais a sobra lateral)
+    getLoadRect() {
+        const { overhang } = this.container;
+        const floor = this.getFloorRect();
+        return {
+            minX: floor.minX - overhang, maxX: floor.maxX + overhang,
+            minZ: floor.minZ - overhang, maxZ: floor.maxZ + overhang
+        };
+    }
+
+    getUsableVolume() {
+        const rect = this.getLoadRect();
+        const { floorY, maxHeight } = this.container;
+        return (rect.maxX - rect.minX) * (rect.maxZ - rect.minZ) * (maxHeight - floorY);
+    }
+
+    // Limita o centro XZ de box à área de carga
+    clampPosition(box, x, z) {
+        const rect = this.getLoadRect();
+        const hw = box.width / 2;
+        const hd = box.depth / 2;
+        return {
+            x: Math.max(rect.minX + hw, Math.min(rect.maxX - hw, x)),
+            z: Math.max(rect.minZ + hd, Math.min(rect.maxZ - hd, z))
+        };
+    }
+
+    /**
+     * Encontra a caixa mais alta cuja projeção XZ sobrepõe a posição (x, z) para newBox.
+     * Retorna { topBox, stackY } onde stackY é o centro Y da nova caixa.
+     */
+    findTopAt(x, z, newBox) {
+        let topBox = null;
+        let topSurface = this.container.floorY;
+
+        for (const { box, x: px, y: py, z: pz } of this.index.query(footprintAt(x, z, newBox))) {
+            // Caixas que só encostam na lateral (com erro de arredondamento) não contam
+            const overlapX = (box.width + newBox.width) / 2 - SURFACE_EPSILON;
+            const overlapZ = (box.depth + newBox.depth) / 2 - SURFACE_EPSILON;
+
+            if (Math.abs(px - x) < overlapX && Math.abs(pz - z) < overlapZ) {
+                const boxTop = py + box.height / 2;
+                if (boxTop > topSurface) {
+                    topSurface = boxTop;
+                    topBox = box;
+                }
+            }
+        }
+
+        return { topBox, stackY: topSurface + newBox.height / 2 };
+    }
+
+    /**
+     * Calcula o apoio da base de newBox centrada em (x, z) na altura baseY.
+     * Superfícies candidatas: o piso e topos de caixas exatamente nessa altura.
+     */
+    getSupport(x, z, newBox, baseY) {
+        const surfaces = [];
+        if (Math.abs(baseY - this.container.floorY) < SURFACE_EPSILON) {
+            surfaces.push(this.getFloorRect());
+        }
+        for (const { box, x: px, y: py, z: pz } of this.index.query(footprintAt(x, z, newBox))) {
+            if (Math.abs(py + box.height / 2 - baseY) < SURFACE_EPSILON) {
+                surfaces.push(footprintAt(px, pz, box));
+            }
+        }
+        return computeSupport(footprintAt(x, z, newBox), surfaces);
+    }
+
+    /**
+     * Verifica se a caixa cabe na área de carga e abaixo da altura máxima
+     * quando seu centro está na altura stackY.
+     */
+    getBoundsError(box, stackY) {
+        const rect = this.getLoadRect();
+        const messages = BOUNDS_MESSAGES[this.container.kind] ?? BOUNDS_MESSAGES[ContainerKind.PALLET];
+        if (box.width > rect.maxX - rect.minX || box.depth > rect.maxZ - rect.minZ) {
+            return messages.size();
+        }
+        if (stackY + box.height / 2 > this.container.maxHeight) {
+            return messages.height(this.container.maxHeight);
+        }
+        return null;
+    }
+
+    /**
+     * Avalia o posicionamento de box com centro XZ desejado em (x, z), limitado à área de carga.
+     * Retorna { x, z, stackY, topBox, support, supportError, violations, error }, onde
+     * violations lista todas as regras de empilhamento violadas e error é a primeira
+     * verificação que falhou (todas as regras juntas), ou null se o posicionamento é válido.
+     */
+    evaluate(box, x, z) {
+        const pos = this.clampPosition(box, x, z);
+        const { topBox, stackY } = this.findTopAt(pos.x, pos.z, box);
+        const support = this.getSupport(pos.x, pos.z, box, stackY - box.height / 2);
+        const supportError = getSupportError(support, this.minSupportRatio);
+
+        const item = { box, x: pos.x, y: stackY, z: pos.z };
+        const violations = evaluateStackingRules(buildStackContext(item, this.index), this.rules);
+
+        const error = this.getBoundsError(box, stackY) ||
+            joinViolations(violations) ||
+            (this.supportMode === SupportMode.WARN ? null : supportError) ||
+            (this.deliveryOrder ? getDeliveryError(item, this.index) : null) ||
+            getLoadError(item, this.index, this.container.maxPayload);
+
+        return { x: pos.x, z: pos.z, stackY, topBox, support, supportError, violations, error };
+    }
+
+    /**
+     * Fixa box com centro em (x, y, z), sem validar (ver evaluate/tryPlace).
+     * Retorna o posicionamento { box, x, y, z, order }.
+     */
+    place(box, x, y, z, order = this.seq + 1) {
+        const placement = { box, x, y, z, order };
+        this.seq = Math.max(this.seq, order);
+        this.placements.push(placement);
+        this.index.insert(placement, footprintAt(x, z, box));
+        return placement;
+    }
+
+    /**
+     * Avalia e, se válido, posiciona box com centro XZ desejado em (x, z).
+     * Retorna { success, message, placement, result }.
+     */
+    tryPlace(box, x, z) {
+        const result = this.evaluate(box, x, z);
+        if (result.error) return { success: false, message: result.error, placement: null, result };
+
+        const placement = this.place(box, result.x, result.stackY, result.z);
+        return { success: true, message: t('box.placed'), placement, result };
+    }
+
+    // Retira box do plano; retorna o posicionamento removido, ou null
+    remove(box) {
+        const placement = this.find(box);
+        if (!placement) return null;
+        this.placements = this.placements.filter(p => p !== placement);
+        this.index.remove(placement);
+        return placement;
+    }
+
+    clear() {
+        this.placements = [];
+        this.index.clear();
+        this.seq = 0;
+    }
+
+    find(box) {
+        return this.placements.find(p => p.box === box) ?? null;
+    }
+
+    // Caixas acima de box cuja projeção XZ sobrepõe a dela
+    getBoxesOnTop(box) {
+        const target = this.find(box);
+        if (!target) return [];
+        const above = [];
+        for (const other of this.index.query(footprintAt(target.x, target.z, box))) {
+            if (other === target || other.y <= target.y) continue; // não está acima
+
+            const overlapX = (other.box.width + box.width) / 2 - SURFACE_EPSILON;
+            const overlapZ = (other.box.depth + box.depth) / 2 - SURFACE_EPSILON;
+            if (Math.abs(other.x - target.x) < overlapX && Math.abs(other.z - target.z) < overlapZ) {
+                above.push(other.box);
+            }
+        }
+        return above;
+    }
+
+    // Verifica se alguma caixa está apoiada sobre box
+    hasBoxOnTop(box) {
+        return this.getBoxesOnTop(box).length > 0;
+    }
+
+    // box e todas as caixas empilhadas acima dela, direta ou indiretamente (a coluna)
+    getStackAbove(box) {
+        if (!this.find(box)) return [];
+        const stack = [box];
+        for (let i = 0; i < stack.length; i++) {
+            for (const other of this.getBoxesOnTop(stack[i])) {
+                if (!stack.includes(other)) stack.push(other);
+            }
+        }
+        return stack;
+    }
+
+    /**
+     * Arranjo rígido de caixas posicionadas, para movê-las juntas (ver evaluateGroup).
+     * Retorna { width, depth, members: [{ box, dx, dy, dz, placement }] }: width e depth
+     * do retângulo que envolve as bases; dx, dz do centro de cada caixa até o centro
+     * desse retângulo; dy da base de cada caixa até a base mais baixa. members vem de
+     * baixo para cima e placement é o posicionamento original.
+     */
+    getGroupLayout(boxes) {
+        const placements = boxes.map(box => this.find(box)).filter(Boolean);
+        if (placements.length === 0) return null;
+
+        const rects = placements.map(p => footprintAt(p.x, p.z, p.box));
+        const minX = Math.min(...rects.map(r => r.minX));
+        const maxX = Math.max(...rects.map(r => r.maxX));
+        const minZ = Math.min(...rects.map(r => r.minZ));
+        const maxZ = Math.max(...rects.map(r => r.maxZ));
+        const baseOf = p => p.y - p.box.height / 2;
+        const baseY = Math.min(...placements.map(baseOf));
+
+        const members = placements
+            .sort((a, b) => baseOf(a) - baseOf(b) || a.order - b.order)
+            .map(placement => ({
+                box: placement.box,
+                dx: placement.x - (minX + maxX) / 2,
+                dy: baseOf(placement) - baseY,
+                dz: placement.z - (minZ + maxZ) / 2,
+                placement
+            }));
+        return { width: maxX - minX, depth: maxZ - minZ, members };
+    }
+
+    /**
+     * Avalia o grupo de getGroupLayout com o centro das bases em (x, z), limitado à
+     * área de carga. As caixas do grupo não podem estar no plano. O grupo desce até a
+     * superfície mais alta sob as bases; cada caixa passa, de baixo para cima, pela
+     * validação de evaluate sobre as de baixo e precisa ficar apoiada na altura do
+     * arranjo. Retorna { x, z, baseY, members: [{ box, x, y, z }], supportError, error }.
+     */
+    evaluateGroup(layout, x, z) {
+        const pos = this.clampPosition(layout, x, z);
+        let baseY = this.container.floorY;
+        for (const { box, dx, dy, dz } of layout.members) {
+            const { stackY } = this.findTopAt(pos.x + dx, pos.z + dz, box);
+            baseY = Math.max(baseY, stackY - box.height / 2 - dy);
+        }
+
+        // Posiciona as caixas temporariamente para validar as de cima sobre as de baixo
+        const members = [];
+        let supportError = null;
+        let error = null;
+        for (const { box, dx, dy, dz } of layout.members) {
+            const member = { box, x: pos.x + dx, y: baseY + dy + box.height / 2, z: pos.z + dz };
+            if (!error) {
+                const result = this.evaluate(box, member.x, member.z);
+                error = Math.abs(result.stackY - member.y) > SURFACE_EPSILON
+                    ? t('group.notLevel')
+                    : result.error;
+                supportError = supportError || result.supportError;
+            }
+            this.place(box, member.x, member.y, member.z, this.seq);
+            members.push(member);
+        }
+        for (const { box } of members) this.remove(box);
+
+        return { x: pos.x, z: pos.z, baseY, members, supportError, error };
+    }
+
+    // Bases das caixas posicionadas a até distance da base de box centrada em (x, z)
+    getNeighbourFootprints(x, z, box, distance) {
+        const area = footprintAt(x, z, box);
+        area.minX -= distance;
+        area.maxX += distance;
+        area.minZ -= distance;
+        area.maxZ += distance;
+        return this.index.query(area).map(p => footprintAt(p.x, p.z, p.box));
+    }
+
+    /**
+     * Arranja as caixas por pontos extremos (ver packing.js) com a validação de evaluate.
+     * options.compare: prioridade entre caixas; options.commit(box, result): fixa a caixa
+     * (padrão: place). Retorna { placed, unplaced }.
+     */
+    autoArrange(boxes, options = {}) {
+        const commit = options.commit ??
+            ((box, result) => this.place(box, result.x, result.stackY, result.z));
+        return autoArrange(boxes, { ...this._packingContainer(), commit, compare: options.compare });
+    }
+
+    /**
+     * Até count posições válidas para box na orientação atual, da melhor para a
+     * pior, pelo critério do autoArrange. Cada uma é um resultado de evaluate.
+     */
+    suggest(box, count) {
+        return suggestPositions(box, this._packingContainer(), count);
+    }
+
+    // Container no formato de packing.js: área, bases ocupadas, sondagem e validação
+    _packingContainer() {
+        return {
+            bounds: this.getLoadRect(),
+            occupied: this.placements.map(p => footprintAt(p.x, p.z, p.box)),
+            probe: (box, x, z) => {
+                const pos = this.clampPosition(box, x, z);
+                return { ...pos, stackY: this.findTopAt(pos.x, pos.z, box).stackY };
+            },
+            evaluate: (box, x, z) => this.evaluate(box, x, z)
+        };
+    }
+
+    /**
+     * Refaz a validação de cada caixa contra as posicionadas antes dela, na ordem de
+     * carregamento, com a configuração atual. Retorna [{ box, order, error }] das inválidas.
+     */
+    validate() {
+        const replay = new LoadPlan(this.container, this.getOptions());
+        const issues = [];
+        for (const placement of [...this.placements].sort((a, b) => a.order - b.order)) {
+            const { box, x, y, z, order } = placement;
+            const result = replay.evaluate(box, x, z);
+            const error = result.error ??
+                (Math.abs(result.stackY - y) > SURFACE_EPSILON ? t('box.offSupportHeight') : null);
+            if (error) issues.push({ box, order, error });
+            replay.place(box, x, y, z, order);
+        }
+        return issues;
+    }
+
+    // Estatísticas de ocupação (ver computeLoadStats)
+    getStats() {
+        return computeLoadStats(this.placements, {
+            usableVolume: this.getUsableVolume(),
+            floorY: this.container.floorY
+        });
+    }
+
+    /**
+     * Pontuação do plano: estatísticas de ocupação mais o resultado de validate().
+     * Retorna { valid, issues, count, utilization, totalMass, stackHeight, centerOfGravity }.
+     */
+    score() {
+        const stats = this.getStats();
+        const issues = this.validate();
+        return {
+            valid: issues.length === 0,
+            issues,
+            count: stats.count,
+            utilization: stats.utilization,
+            totalMass: stats.totalMass,
+            stackHeight: stats.stackHeight,
+            centerOfGravity: stats.centerOfGravity
+        };
+    }
+
+    // Mesmo formato de "placed" das sessões salvas (serialize dos módulos)
+    toJSON() {
+        return {
+            container: { ...this.container },
+            placed: this.placements.map(({ box, x, y, z, order }) => ({
+                box: box.toJSON(),
+                order,
+                position: { x, y, z }
+            }))
+        };
+    }
+
+    /**
+     * Recria um plano de toJSON() ou de um layout salvo. createBox recebe o JSON de
+     * cada caixa (padrão: BoxData.fromJSON, sem three.js).
+     */
+    static fromJSON(data, options = {}, createBox = json => BoxData.fromJSON(json)) {
+        const plan = new LoadPlan(data.container, options);
+        const ordered = [...data.placed].sort((a, b) => a.order - b.order);
+        for (const { box, order, position } of ordered) {
+            plan.place(createBox(box), position.x, position.y, position.z, order);
+        }
+        return plan;
+    }
+}
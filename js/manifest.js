@@ -0,0 +1,188 @@
+// Leitura de manifestos de carga (CSV ou JSON) com a lista de SKUs a embarcar.
+// Módulo puro (sem three.js): produz especificações de caixa; quem cria os
+// objetos Box é o app (Box.fromSpec).
+//
+// Campos por item (aceita nomes em português, inglês ou espanhol):
+//   sku | id | codigo          identificador (obrigatório)
+//   descricao | description    texto livre
+//   largura | width | ancho    metros (obrigatório)
+//   altura | height | alto     metros (obrigatório)
+//   profundidade | comprimento | depth | length | profundidad | largo   metros (obrigatório)
+//   quantidade | qtd | quantity | cantidad   padrão 1
+//   peso | massa | weight | mass  kg (opcional)
+//   fragil | fragile           sim/não (opcional)
+//   este_lado_para_cima | this_side_up | upright   sim/não (opcional)
+//   categoria | category       categoria de manuseio (opcional, regra de segregação)
+//   parada | entrega | stop    parada de entrega, 1 = primeira (opcional)
+
+import { t } from './i18n.js';
+
+const FIELD_ALIASES = {
+    sku: ['sku', 'id', 'codigo', 'código', 'code'],
+    description: ['descricao', 'descrição', 'description', 'desc', 'descripcion', 'descripción'],
+    width: ['largura', 'width', 'w', 'ancho'],
+    height: ['altura', 'height', 'h', 'alto'],
+    depth: ['profundidade', 'comprimento', 'depth', 'length', 'd', 'profundidad', 'largo'],
+    quantity: ['quantidade', 'qtd', 'quantity', 'qty', 'cantidad'],
+    mass: ['peso', 'massa', 'weight', 'mass', 'kg'],
+    fragile: ['fragil', 'frágil', 'fragile'],
+    thisSideUp: ['este_lado_para_cima', 'este lado para cima', 'this_side_up', 'this side up', 'upright'],
+    category: ['categoria', 'category'],
+    stop: ['parada', 'entrega', 'stop', 'drop']
+};
+
+const TRUE_VALUES = ['sim', 's', 'x', 'true', 'yes', 'y', '1', 'si', 'sí'];
+
+function normalizeKey(key) {
+    return String(key).trim().toLowerCase();
+}
+
+function findField(record, field) {
+    for (const alias of FIELD_ALIASES[field]) {
+        if (record[alias] !== undefined && record[alias] !== '') return record[alias];
+    }
+    return undefined;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return TRUE_VALUES.includes(String(value ?? '').trim().toLowerCase());
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (value === undefined || value === null) return NaN;
+    return parseFloat(String(value).trim().replace(',', '.'));
+}
+
+/**
+ * Converte um registro bruto (chaves já normalizadas) em item do manifesto.
+ * line é usado apenas nas mensagens de erro.
+ */
+function toItem(record, line) {
+    const sku = findField(record, 'sku');
+    if (sku === undefined) throw new Error(t('manifest.missingSku', { line }));
+
+    const width = toNumber(findField(record, 'width'));
+    const height = toNumber(findField(record, 'height'));
+    const depth = toNumber(findField(record, 'depth'));
+    if (!(width > 0) || !(height > 0) || !(depth > 0)) {
+        throw new Error(t('manifest.invalidDims', { line, sku }));
+    }
+
+    const rawQuantity = findField(record, 'quantity');
+    const quantity = rawQuantity === undefined ? 1 : Math.floor(toNumber(rawQuantity));
+    if (!(quantity >= 1)) throw new Error(t('manifest.invalidQuantity', { line, sku }));
+
+    const rawMass = findField(record, 'mass');
+    const mass = rawMass === undefined ? null : toNumber(rawMass);
+    if (mass !== null && !(mass > 0)) throw new Error(t('manifest.invalidMass', { line, sku }));
+
+    const rawStop = findField(record, 'stop');
+    const stop = rawStop === undefined ? null : toNumber(rawStop);
+    if (stop !== null && !(Number.isInteger(stop) && stop >= 1)) {
+        throw new Error(t('manifest.invalidStop', { line, sku }));
+    }
+
+    return {
+        sku: String(sku).trim(),
+        description: String(findField(record, 'description') ?? '').trim(),
+        width,
+        height,
+        depth,
+        quantity,
+        mass,
+        fragile: toBoolean(findField(record, 'fragile')),
+        thisSideUp: toBoolean(findField(record, 'thisSideUp')),
+        category: String(findField(record, 'category') ?? '').trim() || null,
+        stop
+    };
+}
+
+// Divide uma linha CSV respeitando campos entre aspas
+function splitCSVLine(line, separator) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { current += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else current += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === separator) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current);
+    return fields.map(f => f.trim());
+}
+
+/**
+ * CSV com cabeçalho. Separador ';' (padrão brasileiro, vírgula decimal) ou ','.
+ */
+export function parseManifestCSV(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+    if (lines.length < 2) throw new Error(t('manifest.emptyCSV'));
+
+    const separator = lines[0].includes(';') ? ';' : ',';
+    const header = splitCSVLine(lines[0], separator).map(normalizeKey);
+
+    return lines.slice(1).map((line, i) => {
+        const values = splitCSVLine(line, separator);
+        const record = {};
+        header.forEach((key, j) => { record[key] = values[j]; });
+        return toItem(record, i + 2);
+    });
+}
+
+/**
+ * JSON: lista de itens ou objeto { items: [...] }.
+ */
+export function parseManifestJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(t('manifest.invalidJSON', { error: err.message }));
+    }
+
+    const list = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(list) || list.length === 0) throw new Error(t('manifest.emptyJSON'));
+
+    return list.map((raw, i) => {
+        const record = {};
+        for (const [key, value] of Object.entries(raw)) record[normalizeKey(key)] = value;
+        return toItem(record, i + 1);
+    });
+}
+
+/**
+ * Escolhe o formato pela extensão do arquivo (ou pelo conteúdo, sem extensão conhecida).
+ */
+export function parseManifest(text, fileName = '') {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.json')) return parseManifestJSON(text);
+    if (name.endsWith('.csv')) return parseManifestCSV(text);
+    return /^\s*[[{]/.test(text) ? parseManifestJSON(text) : parseManifestCSV(text);
+}
+
+/**
+ * Expande itens com quantidade em uma especificação por caixa física.
+ */
+export function expandManifest(items) {
+    const specs = [];
+    for (const item of items) {
+        for (let i = 0; i < item.quantity; i++) {
+            const { quantity: _quantity, ...spec } = item;
+            specs.push(spec);
+        }
+    }
+    return specs;
+}
@@ -0,0 +1,115 @@
+// Medição de uma caixa real em AR: o operador toca os quatro cantos da base, em
+// volta do perímetro, e depois o topo. Dos pontos do hit test saem largura,
+// profundidade e altura com a incerteza de cada uma. Módulo puro: pontos {x, y, z}
+// em coords do mundo (Y para cima).
+
+import { t, formatDims, formatLength, getUnitSystem, UnitSystem } from './i18n.js';
+
+export const BASE_CORNERS = 4;
+
+// Incerteza típica de um ponto do hit test (m, um desvio-padrão)
+const HIT_SIGMA = 0.005;
+
+// Menor distância entre pontos e menor dimensão aceitas (m)
+const MIN_DIMENSION = 0.02;
+
+// Acima desta incerteza (m) em alguma dimensão, a medida é marcada como imprecisa
+const MAX_UNCERTAINTY = 0.02;
+
+function horizontalDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+/**
+ * Dimensões a partir dos quatro cantos da base (em ordem, em volta do perímetro)
+ * e de um ponto no topo. Lados opostos são medidos duas vezes: a média é a
+ * dimensão e a diferença entre eles entra na incerteza, junto com a do hit test.
+ * A altura parte do nível médio dos cantos; o desnível entre eles também conta.
+ * Retorna { width, height, depth, uncertainty: { width, height, depth }, precise }.
+ */
+export function computeMeasurement(corners, top) {
+    const edges = corners.map((corner, i) => horizontalDistance(corner, corners[(i + 1) % corners.length]));
+    const spanUncertainty = (a, b) => Math.hypot(HIT_SIGMA, (a - b) / 2);
+
+    const heights = corners.map(corner => corner.y);
+    const baseY = heights.reduce((sum, y) => sum + y, 0) / heights.length;
+    const baseSpread = (Math.max(...heights) - Math.min(...heights)) / 2;
+
+    const result = {
+        width: (edges[0] + edges[2]) / 2,
+        height: top.y - baseY,
+        depth: (edges[1] + edges[3]) / 2,
+        uncertainty: {
+            width: spanUncertainty(edges[0], edges[2]),
+            height: Math.hypot(HIT_SIGMA, HIT_SIGMA / Math.sqrt(heights.length), baseSpread),
+            depth: spanUncertainty(edges[1], edges[3])
+        }
+    };
+    result.precise = Object.values(result.uncertainty).every(u => u <= MAX_UNCERTAINTY);
+    return result;
+}
+
+// Texto da medida com a incerteza: "0,42 x 0,30 x 0,25 m (± 0,006 / 0,009 / 0,007 m)"
+export function describeMeasurement(result) {
+    const digits = getUnitSystem() === UnitSystem.METRIC ? 3 : 2;
+    const { uncertainty: u } = result;
+    const text = t('measure.result', {
+        dims: formatDims(result.width, result.height, result.depth),
+        uncertainty: [u.width, u.height, u.depth].map(value => formatLength(value, digits)).join(' / ')
+    });
+    return result.precise ? text : `${text} ${t('measure.imprecise')}`;
+}
+
+/**
+ * Sequência de toques de uma medição. addPoint devolve { success, message },
+ * como os módulos; a medida fica em result quando o topo é aceito.
+ */
+export class BoxMeasurement {
+    constructor() {
+        this.points = [];
+        this.result = null;
+    }
+
+    isComplete() {
+        return this.result !== null;
+    }
+
+    // Instrução para o próximo toque (ou a medida, se já completa)
+    getPrompt() {
+        if (this.result) return describeMeasurement(this.result);
+        if (this.points.length < BASE_CORNERS) {
+            return t('measure.tapCorner', { index: this.points.length + 1, count: BASE_CORNERS });
+        }
+        return t('measure.tapTop');
+    }
+
+    addPoint(point) {
+        if (this.result) return { success: false, message: t('measure.alreadyComplete') };
+
+        const { x, y, z } = point;
+        if (this.points.length < BASE_CORNERS) {
+            if (this.points.some(p => horizontalDistance(p, point) < MIN_DIMENSION)) {
+                return { success: false, message: t('measure.pointTooClose') };
+            }
+            this.points.push({ x, y, z });
+            return { success: true, message: this.getPrompt() };
+        }
+
+        const result = computeMeasurement(this.points, point);
+        if (result.height < MIN_DIMENSION) {
+            return { success: false, message: t('measure.topTooLow') };
+        }
+        if (result.width < MIN_DIMENSION || result.depth < MIN_DIMENSION) {
+            return { success: false, message: t('measure.tooSmall') };
+        }
+        this.points.push({ x, y, z });
+        this.result = result;
+        return { success: true, message: this.getPrompt() };
+    }
+
+    // Desfaz o último toque (também reabre uma medição completa)
+    removeLastPoint() {
+        this.result = null;
+        return this.points.pop() ?? null;
+    }
+}
@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { BASE_CORNERS } from './measure.js';
+
+const MARKER_COLOR = 0xffd32a;
+const MARKER_RADIUS = 0.008;
+const MAX_POINTS = BASE_CORNERS + 1;
+
+/**
+ * Marcadores da medição em AR: uma esfera por ponto tocado, o contorno da base
+ * e a linha vertical até o topo. Vive em coords do mundo (ver measure.js).
+ */
+export class MeasureMarkers {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        const material = new THREE.MeshBasicMaterial({ color: MARKER_COLOR, depthTest: false });
+        const sphere = new THREE.SphereGeometry(MARKER_RADIUS, 12, 8);
+        this.spheres = Array.from({ length: MAX_POINTS }, () => {
+            const mesh = new THREE.Mesh(sphere, material);
+            mesh.renderOrder = 2;
+            this.group.add(mesh);
+            return mesh;
+        });
+
+        const lineMaterial = new THREE.LineBasicMaterial({ color: MARKER_COLOR, depthTest: false });
+        this.outline = new THREE.Line(new THREE.BufferGeometry(), lineMaterial);
+        this.heightLine = new THREE.Line(new THREE.BufferGeometry(), lineMaterial);
+        // Geometria refeita a cada ponto: a esfera envolvente não é recalculada
+        for (const line of [this.outline, this.heightLine]) {
+            line.renderOrder = 2;
+            line.frustumCulled = false;
+        }
+        this.group.add(this.outline, this.heightLine);
+    }
+
+    /**
+     * points: pontos de BoxMeasurement (cantos da base e, por último, o topo).
+     */
+    update(points) {
+        if (points.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.group.visible = true;
+        this.spheres.forEach((mesh, i) => {
+            mesh.visible = i < points.length;
+            if (mesh.visible) mesh.position.set(points[i].x, points[i].y, points[i].z);
+        });
+
+        // Contorno fechado só com os quatro cantos
+        const corners = points.slice(0, BASE_CORNERS).map(p => new THREE.Vector3(p.x, p.y, p.z));
+        if (corners.length === BASE_CORNERS) corners.push(corners[0]);
+        this.outline.geometry.setFromPoints(corners);
+
+        // Altura: do canto mais próximo do topo até o nível do topo
+        const top = points[BASE_CORNERS];
+        this.heightLine.visible = !!top;
+        if (top) {
+            const base = corners.slice(0, BASE_CORNERS).reduce((nearest, corner) =>
+                Math.hypot(corner.x - top.x, corner.z - top.z) < Math.hypot(nearest.x - top.x, nearest.z - top.z)
+                    ? corner
+                    : nearest);
+            this.heightLine.geometry.setFromPoints([base, new THREE.Vector3(base.x, top.y, base.z)]);
+        }
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+}
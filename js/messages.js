@@ -0,0 +1,1000 @@
+// Catálogo de mensagens da interface por idioma (ver i18n.js).
+// Chaves agrupadas por assunto; {nome} é substituído pelos parâmetros de t().
+// pt-BR é o idioma de referência: chave ausente em outro idioma cai nele.
+
+export const MESSAGES = {
+    'pt-BR': {
+        // Página e overlay
+        'ui.pageTitle': 'WebXR - Cubagem e Picking',
+        'ui.appTitle': 'Cubagem & Picking AR',
+        'ui.language': 'Idioma',
+        'ui.units': 'Unidades',
+        'units.metric': 'Métrico',
+        'units.imperial': 'Imperial',
+        'start.ar': 'Iniciar AR',
+        'start.desktop': 'Modo 3D (sem AR)',
+        'mode.cubagem': 'Cubagem',
+        'mode.picking': 'Picking',
+
+        // HUD
+        'hud.boxes': 'Caixas:',
+        'hud.payload': 'Carga:',
+        'hud.pending': 'Pendentes:',
+        'hud.queueNext': 'Próxima da fila',
+        'hud.stop': 'Parada:',
+        'hud.colors': 'Cores:',
+        'hud.mode': 'Modo:',
+        'stats.utilization': 'Ocupação:',
+        'stats.free': 'Livre:',
+        'stats.height': 'Altura:',
+        'stats.cog': 'CG:',
+        'axle.front': 'Eixo diant.',
+        'axle.rear': 'Eixo tras.',
+        'axle.cogLongitudinal': 'CG long.:',
+        'axle.cogLateral': 'lat.:',
+        'axle.fromFront': '{distance} da frente',
+
+        // Painel de configuração e encaixe
+        'setup.pallet': 'Palete',
+        'setup.width': 'Largura (m)',
+        'setup.depth': 'Profund. (m)',
+        'setup.maxHeight': 'Altura máx. (m)',
+        'setup.overhang': 'Sobra lateral (m)',
+        'setup.truck': 'Carroceria',
+        'setup.scale': 'Escala',
+        'snap.label': 'Encaixe',
+        'snap.grid': 'Grade',
+        'snap.enabled': 'Encaixe ativado!',
+        'snap.disabled': 'Encaixe desativado!',
+        'snap.invalidGrid': 'Grade de encaixe inválida!',
+
+        // Botões
+        'controls.newBox': 'Nova Caixa',
+        'controls.measure': 'Medir caixa',
+        'controls.useMeasure': 'Usar medida',
+        'controls.cancelMeasure': 'Cancelar medição',
+        'controls.rotate': 'Girar',
+        'controls.suggest': 'Sugerir',
+        'controls.place': 'Posicionar',
+        'controls.reposition': 'Reposicionar',
+        'controls.select': 'Selecionar',
+        'controls.selectStack': 'Selecionar pilha',
+        'controls.discard': 'Descartar',
+        'controls.undo': 'Desfazer',
+        'controls.redo': 'Refazer',
+        'controls.autoArrange': 'Auto-arranjar',
+        'controls.unload': 'Descarregar parada',
+        'controls.loadPallet': 'Carregar no caminhão',
+        'controls.openPallet': 'Abrir palete',
+        'controls.manifest': 'Manifesto',
+        'controls.export': 'Exportar',
+        'controls.align': 'Alinhar',
+        'controls.rules': 'Regras',
+        'controls.plans': 'Planos',
+        'controls.modePicking': 'Modo: Picking',
+        'controls.modeCubagem': 'Modo: Cubagem',
+        'controls.reset': 'Resetar',
+
+        // Mensagens de status
+        'status.start': 'Toque em "Iniciar AR" para começar',
+        'status.aimSurface': 'Aponte para uma superfície plana',
+        'status.searchingSurface': 'Aponte para uma superfície plana...',
+        'status.moveMouse': 'Mova o mouse sobre o piso...',
+        'status.desktopStart': 'Modo 3D: mova o mouse sobre o piso. Arraste para girar a câmera.',
+        'status.sessionEnded': 'Sessão encerrada. Toque para reiniciar.',
+        'status.surfaceDetectedPallet': 'Superfície detectada! Toque "Posicionar" para colocar o palete.',
+        'status.surfaceDetectedTruck': 'Superfície detectada! Toque "Posicionar" para colocar a caçamba.',
+        'status.aimingBox': 'Mirando caixa {color} — toque "Reposicionar" para mover.',
+        'status.aimBoxOrNew': 'Aponte para uma caixa para reposicioná-la ou gere uma nova.',
+        'status.aimAndPlace': 'Aponte onde quer colocar e toque "Posicionar".',
+        'status.newBoxOrRemove': 'Gere uma nova caixa ou aponte para remover.',
+        'status.aimSurfaceAndPlace': 'Aponte para uma superfície e toque "Posicionar".',
+        'status.planRestored': 'Plano restaurado! Aponte para uma superfície e toque "Posicionar" para reancorar.',
+        'status.boxInHand': 'Caixa {color} ({volume}) — aponte onde quer colocar e toque "Posicionar".',
+        'status.palletQueued': 'Palete na fila do Picking. Posicione um novo palete ou troque de modo.',
+        'status.palletPlaced': 'Palete posicionado! Gere uma nova caixa.',
+        'status.truckPlaced': 'Caçamba posicionada! Gere uma nova caixa.',
+        'status.boxPlaced': 'Caixa posicionada! Gere outra ou remova uma existente.',
+        'status.aimNewSpot': 'Aponte para o novo local e toque "Posicionar".',
+        'status.movingGroup': 'Aponte para o novo local do grupo e toque "Posicionar". "Descartar" cancela.',
+        'status.suggestionShown': 'Aponte perto da caixa fantasma ou de um contorno para encaixar e toque "Posicionar".',
+        'status.manifestLoaded': 'Toque "Nova Caixa" para pegar a próxima da fila ou escolha um SKU.',
+        'status.reset': 'Resetado! Aponte para uma superfície.',
+
+        // Avisos gerais
+        'feedback.webxrUnsupported': 'WebXR não suportado! Abrindo modo 3D.',
+        'feedback.arUnsupported': 'AR não suportado neste dispositivo! Abrindo modo 3D.',
+        'feedback.error': 'Erro: {error}',
+        'feedback.sessionRestored': 'Sessão anterior restaurada!',
+        'feedback.restoreFailed': 'Não foi possível restaurar o plano salvo: {error}',
+        'feedback.noSurface': 'Nenhuma superfície detectada!',
+        'feedback.reset': 'Tudo resetado!',
+        'container.placeFirst': 'Posicione o container primeiro!',
+
+        // Caixas
+        'color.red': 'Vermelha',
+        'color.green': 'Verde',
+        'color.blue': 'Azul',
+        'box.volume': 'Vol: {volume}',
+        'box.mass': '{mass} (máx. {maxLoad} por cima)',
+        'box.fragile': 'Frágil',
+        'box.thisSideUp': 'Este lado para cima',
+        'box.generateFirst': 'Gere uma caixa primeiro!',
+        'box.invalidPlacement': 'Posicionamento inválido!',
+        'box.orientation': 'Orientação {index}/{count}',
+        'box.placed': 'Caixa posicionada!',
+        'box.placedWithWarning': '{message} Atenção: {warning}',
+        'box.offSupportHeight': 'Caixa fora da altura de apoio!',
+        'box.notFound': 'Caixa não encontrada.',
+        'box.repositionBlocked': 'Não é possível reposicionar! Há uma caixa por cima. Mova-a primeiro ou selecione a pilha.',
+        'box.readyToReposition': 'Caixa {color} pronta para reposicionar!',
+        'box.noneInHand': 'Nenhuma caixa em mão!',
+        'box.returnedToQueue': 'Caixa {sku} devolvida à fila.',
+        'box.discarded': 'Caixa descartada.',
+        'box.placeCurrentFirst': 'Posicione a caixa atual antes de reposicionar outra.',
+        'box.aimToReposition': 'Aponte para uma caixa para reposicioná-la.',
+
+        // Medição em AR
+        'measure.tapCorner': 'Toque no canto {index}/{count} da base da caixa, seguindo o contorno.',
+        'measure.tapTop': 'Agora toque no topo da caixa.',
+        'measure.result': 'Medida: {dims} (± {uncertainty})',
+        'measure.imprecise': 'Medida imprecisa: confira os cantos ou meça de novo.',
+        'measure.alreadyComplete': 'Medição completa: use a medida ou cancele.',
+        'measure.pointTooClose': 'Ponto muito perto de um canto já marcado!',
+        'measure.topTooLow': 'O topo precisa ficar acima da base!',
+        'measure.tooSmall': 'Caixa pequena demais para medir!',
+        'measure.cancelled': 'Medição cancelada.',
+        'measure.boxCreated': 'Caixa medida pronta para posicionar!',
+        'measure.arOnly': 'A medição usa as superfícies reais: inicie o AR.',
+
+        // Palete
+        'pallet.type.pbr': 'PBR 1,20 × 1,00 m',
+        'pallet.type.euro': 'Euro 1,20 × 0,80 m',
+        'pallet.type.us': 'US 48 × 40 pol',
+        'pallet.type.custom': 'Personalizado',
+        'pallet.resetToChange': 'Resete para trocar o palete!',
+        'pallet.unknownType': 'Tipo de palete desconhecido!',
+        'pallet.sizeRequired': 'Informe largura e profundidade do palete!',
+        'pallet.invalidMaxHeight': 'Altura máxima de carga inválida!',
+        'pallet.invalidOverhang': 'Sobra lateral (overhang) inválida!',
+        'pallet.configured': 'Palete {label} configurado!',
+        'pallet.notPlaced': 'Palete ainda não posicionado!',
+        'pallet.rotated': 'Palete girado para {degrees}°',
+        'pallet.nudged': 'Palete deslocado!',
+        'pallet.placeFirst': 'Posicione o palete primeiro!',
+        'pallet.placed': 'Palete posicionado!',
+        'pallet.boxStacked': 'Caixa empilhada! (Total: {count})',
+        'pallet.boxTooLarge': 'Caixa maior que a área do palete! Tente girá-la.',
+        'pallet.boxTooTall': 'Caixa excede a altura máxima de carga ({maxHeight})!',
+        'pallet.empty': 'O palete está vazio!',
+        'pallet.closed': '{sku} fechado: {count} caixa(s), {mass}.',
+        'pallet.queuedInTruck': '{message} Na fila do caminhão.',
+        'pallet.unitSku': 'PALETE-{number}',
+        'pallet.unitDescription': 'Palete {label} · {count} caixa(s)',
+        'pallet.aimAtLoaded': 'Aponte para um palete carregado.',
+        'pallet.opened': '{sku} aberto.',
+        'pallet.unitClosed': '{sku} fechado.',
+
+        // Caçamba
+        'truck.profile.model': 'Maquete 1,90 × 1,10 m',
+        'truck.profile.container20': "Contêiner 20'",
+        'truck.profile.container40': "Contêiner 40'",
+        'truck.scale.real': 'Real (1:1)',
+        'truck.resetToChange': 'Resete para trocar a carroceria!',
+        'truck.unknownProfile': 'Carroceria desconhecida!',
+        'truck.invalidScale': 'Escala inválida!',
+        'truck.configured': 'Carroceria {label} selecionada!',
+        'truck.notPlaced': 'Caçamba ainda não posicionada!',
+        'truck.rotated': 'Caçamba girada para {degrees}°',
+        'truck.nudged': 'Caçamba deslocada!',
+        'truck.placeFirst': 'Posicione a caçamba primeiro!',
+        'truck.placed': 'Caçamba posicionada!',
+        'truck.boxLoaded': 'Caixa carregada! (Total: {count})',
+        'truck.boxTooLarge': 'Caixa maior que a caçamba! Tente girá-la.',
+        'truck.boxTooTall': 'Caixa excede a altura da caçamba!',
+
+        // Apoio, peso e eixos
+        'support.insufficient': 'Apoio insuficiente: {pct} da base apoiada (mínimo {minPct})!',
+        'support.centerOutside': 'Centro de massa fora da área de apoio!',
+        'load.payloadExceeded': 'Carga total excederia o limite ({total} / {max})!',
+        'load.crushed': 'Caixa {color} abaixo suportaria {load} (limite {limit})!',
+        'axle.frontOverloaded': 'Eixo dianteiro sobrecarregado ({load} / {max})!',
+        'axle.rearOverloaded': 'Eixo traseiro sobrecarregado ({load} / {max})!',
+        'axle.frontLight': 'Pouco peso no eixo dianteiro ({share}): carga concentrada perto da porta!',
+        'axle.unbalancedLeft': 'Carga desbalanceada para a esquerda ({offset})!',
+        'axle.unbalancedRight': 'Carga desbalanceada para a direita ({offset})!',
+
+        // Regras de empilhamento
+        'rules.updated': 'Regras de empilhamento atualizadas!',
+        'rules.positiveInteger': '{label}: informe um número inteiro positivo!',
+        'rules.colorWeight': 'Hierarquia de cores',
+        'rules.colorWeight.error': 'Caixa {newName} não pode ser empilhada sobre caixa {targetName}!',
+        'rules.fragile': 'Frágil (nada por cima)',
+        'rules.fragile.error': 'Caixa {box} é frágil: nada pode ficar por cima!',
+        'rules.thisSideUp': 'Este lado para cima',
+        'rules.thisSideUp.error': 'Caixa {box} deve ficar com este lado para cima!',
+        'rules.maxTiers': 'Máx. camadas',
+        'rules.maxTiers.param': 'Camadas',
+        'rules.maxTiers.error': 'Pilha excederia {max} camada(s)!',
+        'rules.maxPerColumn': 'Máx. caixas por coluna',
+        'rules.maxPerColumn.param': 'Caixas',
+        'rules.maxPerColumn.error': 'Coluna excederia {max} caixa(s)!',
+        'rules.segregation': 'Segregação de categorias',
+        'rules.segregation.pairs': 'Pares incompatíveis (a:b; c:d)',
+        'rules.segregation.distance': 'Distância (m)',
+        'rules.segregation.invalidDistance': 'Segregação: distância inválida!',
+        'rules.segregation.error': 'Categoria "{category}" não pode ficar junto de "{other}" (caixa {box})!',
+
+        // Entregas (multi-drop)
+        'delivery.stop': 'Parada {stop}',
+        'delivery.noStop': 'Sem parada',
+        'delivery.invalidStop': 'Parada inválida!',
+        'delivery.boxWithoutStop': 'Caixa sem parada.',
+        'delivery.boxStop': 'Caixa da parada {stop}.',
+        'delivery.nothingToUnload': 'Nenhuma parada para descarregar!',
+        'delivery.stopBlocked': 'Parada {stop} bloqueada por {count} caixa(s)!',
+        'delivery.unloaded': 'Parada {stop} descarregada: {count} caixa(s).',
+        'delivery.undoHint': '{message} Desfazer recoloca as caixas.',
+        'delivery.wouldBlock.above': 'Caixa da parada {stop} ficaria por cima de uma caixa da parada {otherStop}!',
+        'delivery.wouldBlock.front': 'Caixa da parada {stop} ficaria à frente de uma caixa da parada {otherStop}!',
+        'delivery.wouldBeBlocked.above':
+            'Caixa da parada {stop} ficaria bloqueada por uma caixa da parada {otherStop} (por cima)!',
+        'delivery.wouldBeBlocked.front':
+            'Caixa da parada {stop} ficaria bloqueada por uma caixa da parada {otherStop} (à frente)!',
+        'delivery.noStopWouldBlock.above': 'Caixa sem parada ficaria por cima de uma caixa da parada {otherStop}!',
+        'delivery.noStopWouldBlock.front': 'Caixa sem parada ficaria à frente de uma caixa da parada {otherStop}!',
+        'delivery.wouldBeBlockedByNoStop.above':
+            'Caixa da parada {stop} ficaria bloqueada por uma caixa sem parada (por cima)!',
+        'delivery.wouldBeBlockedByNoStop.front':
+            'Caixa da parada {stop} ficaria bloqueada por uma caixa sem parada (à frente)!',
+
+        // Sugestão de posição
+        'suggest.best': 'Melhor posição marcada.',
+        'suggest.found': 'Melhor posição marcada, mais {count} alternativa(s).',
+        'suggest.none': 'Nenhuma posição válida nesta orientação. Tente girar a caixa.',
+
+        // Seleção e movimento em grupo
+        'group.selection': '{count} caixa(s) selecionada(s). Toque "Reposicionar" para movê-las juntas.',
+        'group.stackSelected': 'Pilha de {count} caixa(s) selecionada. Toque "Reposicionar" para movê-la.',
+        'group.aimToSelect': 'Aponte para uma caixa para selecioná-la.',
+        'group.empty': 'Nenhuma caixa selecionada!',
+        'group.blocked': 'Não é possível mover! Há uma caixa fora da seleção por cima. Selecione a pilha.',
+        'group.readyToMove': '{count} caixa(s) prontas para mover juntas.',
+        'group.notLevel': 'O grupo não fica apoiado por inteiro nesta posição!',
+        'group.placed': 'Grupo de {count} caixa(s) posicionado!',
+        'group.cannotRotate': 'Não é possível girar um grupo! Mova as caixas uma a uma para girá-las.',
+        'group.moveCancelled': 'Movimento cancelado. As caixas voltaram ao lugar.',
+        'group.selectionCleared': 'Seleção limpa.',
+
+        // Auto-arranjar
+        'arrange.nothingPending': 'Nenhuma caixa pendente!',
+        'arrange.result': '{placed} caixa(s) arranjada(s), {unplaced} não couberam. Ocupação: {utilization}',
+        'arrange.didNotFit': 'Não couberam: {boxes}',
+
+        // Esquemas de cores
+        'colors.scheme.category': 'Volume',
+        'colors.scheme.weight': 'Peso',
+        'colors.scheme.sku': 'SKU',
+        'colors.scheme.stop': 'Parada',
+        'colors.scheme.order': 'Ordem de carregamento',
+        'colors.scheme.rules': 'Status das regras',
+        'colors.unknownScheme': 'Esquema de cores desconhecido!',
+        'colors.schemeSelected': 'Cores por: {scheme}',
+        'colors.moreSkus': '+{count} SKU(s)',
+        'colors.noSku': 'Sem SKU',
+        'colors.noStop': 'Sem parada (cor por volume)',
+        'colors.ordinal': '{order}ª',
+        'colors.rulesOk': 'Regras OK ({count})',
+        'colors.rulesViolated': 'Viola regras ({count})',
+
+        // Histórico
+        'history.placeContainer': 'posicionar container',
+        'history.placeBox': 'posicionar caixa',
+        'history.discardBox': 'descartar caixa',
+        'history.repositionBox': 'reposicionar caixa',
+        'history.moveGroup': 'mover grupo',
+        'history.loadPallet': 'carregar palete no caminhão',
+        'history.transferBlocked': 'Desfaça ou refaça antes as ações seguintes no outro modo.',
+        'history.autoArrange': 'auto-arranjar',
+        'history.importManifest': 'importar manifesto',
+        'history.unloadStop': 'descarregar parada',
+        'history.rotateContainer': 'girar container',
+        'history.nudgeContainer': 'deslocar container',
+        'history.nothingToUndo': 'Nada para desfazer!',
+        'history.nothingToRedo': 'Nada para refazer!',
+        'history.undone': 'Desfeito: {action}',
+        'history.redone': 'Refeito: {action}',
+
+        // Manifesto
+        'manifest.loaded': 'Manifesto: {skus} SKU(s), {boxes} caixa(s) na fila!',
+        'manifest.error': 'Erro no manifesto: {error}',
+        'manifest.missingSku': 'Linha {line}: SKU/id ausente.',
+        'manifest.invalidDims': 'Linha {line}: dimensões inválidas para o SKU {sku}.',
+        'manifest.invalidQuantity': 'Linha {line}: quantidade inválida para o SKU {sku}.',
+        'manifest.invalidMass': 'Linha {line}: peso inválido para o SKU {sku}.',
+        'manifest.invalidStop': 'Linha {line}: parada inválida para o SKU {sku}.',
+        'manifest.emptyCSV': 'Manifesto CSV vazio.',
+        'manifest.invalidJSON': 'JSON inválido: {error}',
+        'manifest.emptyJSON': 'Manifesto JSON sem itens.',
+        'manifest.skuNotQueued': 'Nenhuma caixa do SKU {sku} na fila!',
+
+        // Exportação e relatório
+        'export.nothing': 'Nada para exportar ainda!',
+        'export.report': 'Relatório',
+        'report.title': 'Plano de carga — {name}',
+        'report.print': 'Imprimir',
+        'report.summary': 'Gerado em {createdAt} · {size}, altura máx. {maxHeight} · ' +
+            '{count} caixa(s), {volume} ({utilization}), {mass}',
+        'report.topView': 'Vista superior',
+        'report.sideView': 'Vista lateral',
+        'report.sequence': 'Sequência de carregamento',
+        'report.description': 'Descrição',
+        'report.color': 'Cor',
+        'report.dims': 'Dimensões',
+        'report.mass': 'Peso',
+        'report.position': 'Posição x; y; z',
+
+        // Planos salvos
+        'plans.namePlaceholder': 'Nome do plano',
+        'plans.saveCurrent': 'Salvar atual',
+        'plans.none': 'Nenhum plano salvo.',
+        'plans.open': 'Abrir',
+        'plans.duplicate': 'Duplicar',
+        'plans.delete': 'Excluir',
+        'plans.opened': 'Plano "{name}" aberto!',
+        'plans.saved': 'Plano "{name}" salvo!',
+        'plans.saveFailed': 'Não foi possível salvar (armazenamento cheio?)',
+        'plans.unnamed': 'Plano sem nome',
+        'plans.copyName': '{name} (cópia)'
+    },
+
+    en: {
+        'ui.pageTitle': 'WebXR - Cubing and Picking',
+        'ui.appTitle': 'Cubing & Picking AR',
+        'ui.language': 'Language',
+        'ui.units': 'Units',
+        'units.metric': 'Metric',
+        'units.imperial': 'Imperial',
+        'start.ar': 'Start AR',
+        'start.desktop': '3D mode (no AR)',
+        'mode.cubagem': 'Cubing',
+        'mode.picking': 'Picking',
+
+        'hud.boxes': 'Boxes:',
+        'hud.payload': 'Load:',
+        'hud.pending': 'Pending:',
+        'hud.queueNext': 'Next in queue',
+        'hud.stop': 'Stop:',
+        'hud.colors': 'Colors:',
+        'hud.mode': 'Mode:',
+        'stats.utilization': 'Utilization:',
+        'stats.free': 'Free:',
+        'stats.height': 'Height:',
+        'stats.cog': 'CoG:',
+        'axle.front': 'Front axle',
+        'axle.rear': 'Rear axle',
+        'axle.cogLongitudinal': 'CoG long.:',
+        'axle.cogLateral': 'lat.:',
+        'axle.fromFront': '{distance} from the front',
+
+        'setup.pallet': 'Pallet',
+        'setup.width': 'Width (m)',
+        'setup.depth': 'Depth (m)',
+        'setup.maxHeight': 'Max height (m)',
+        'setup.overhang': 'Overhang (m)',
+        'setup.truck': 'Truck body',
+        'setup.scale': 'Scale',
+        'snap.label': 'Snap',
+        'snap.grid': 'Grid',
+        'snap.enabled': 'Snapping on!',
+        'snap.disabled': 'Snapping off!',
+        'snap.invalidGrid': 'Invalid snap grid!',
+
+        'controls.newBox': 'New Box',
+        'controls.measure': 'Measure box',
+        'controls.useMeasure': 'Use measurement',
+        'controls.cancelMeasure': 'Cancel measuring',
+        'controls.rotate': 'Rotate',
+        'controls.suggest': 'Suggest',
+        'controls.place': 'Place',
+        'controls.reposition': 'Reposition',
+        'controls.select': 'Select',
+        'controls.selectStack': 'Select stack',
+        'controls.discard': 'Discard',
+        'controls.undo': 'Undo',
+        'controls.redo': 'Redo',
+        'controls.autoArrange': 'Auto-arrange',
+        'controls.unload': 'Unload stop',
+        'controls.loadPallet': 'Load onto truck',
+        'controls.openPallet': 'Open pallet',
+        'controls.manifest': 'Manifest',
+        'controls.export': 'Export',
+        'controls.align': 'Align',
+        'controls.rules': 'Rules',
+        'controls.plans': 'Plans',
+        'controls.modePicking': 'Mode: Picking',
+        'controls.modeCubagem': 'Mode: Cubing',
+        'controls.reset': 'Reset',
+
+        'status.start': 'Tap "Start AR" to begin',
+        'status.aimSurface': 'Point at a flat surface',
+        'status.searchingSurface': 'Point at a flat surface...',
+        'status.moveMouse': 'Move the mouse over the floor...',
+        'status.desktopStart': '3D mode: move the mouse over the floor. Drag to orbit the camera.',
+        'status.sessionEnded': 'Session ended. Tap to restart.',
+        'status.surfaceDetectedPallet': 'Surface detected! Tap "Place" to put down the pallet.',
+        'status.surfaceDetectedTruck': 'Surface detected! Tap "Place" to put down the truck body.',
+        'status.aimingBox': 'Aiming at {color} box — tap "Reposition" to move it.',
+        'status.aimBoxOrNew': 'Point at a box to reposition it or generate a new one.',
+        'status.aimAndPlace': 'Point where you want it and tap "Place".',
+        'status.newBoxOrRemove': 'Generate a new box or point at one to remove it.',
+        'status.aimSurfaceAndPlace': 'Point at a surface and tap "Place".',
+        'status.planRestored': 'Plan restored! Point at a surface and tap "Place" to re-anchor it.',
+        'status.boxInHand': '{color} box ({volume}) — point where you want it and tap "Place".',
+        'status.palletQueued': 'Pallet queued for Picking. Place a new pallet or switch modes.',
+        'status.palletPlaced': 'Pallet placed! Generate a new box.',
+        'status.truckPlaced': 'Truck body placed! Generate a new box.',
+        'status.boxPlaced': 'Box placed! Generate another or remove an existing one.',
+        'status.aimNewSpot': 'Point at the new spot and tap "Place".',
+        'status.movingGroup': 'Point at the new spot for the group and tap "Place". "Discard" cancels.',
+        'status.suggestionShown': 'Point near the ghost box or an outline to snap to it and tap "Place".',
+        'status.manifestLoaded': 'Tap "New Box" to take the next one in the queue or choose a SKU.',
+        'status.reset': 'Reset! Point at a surface.',
+
+        'feedback.webxrUnsupported': 'WebXR not supported! Opening 3D mode.',
+        'feedback.arUnsupported': 'AR not supported on this device! Opening 3D mode.',
+        'feedback.error': 'Error: {error}',
+        'feedback.sessionRestored': 'Previous session restored!',
+        'feedback.restoreFailed': 'Could not restore the saved plan: {error}',
+        'feedback.noSurface': 'No surface detected!',
+        'feedback.reset': 'Everything reset!',
+        'container.placeFirst': 'Place the container first!',
+
+        'color.red': 'Red',
+        'color.green': 'Green',
+        'color.blue': 'Blue',
+        'box.volume': 'Vol: {volume}',
+        'box.mass': '{mass} (max. {maxLoad} on top)',
+        'box.fragile': 'Fragile',
+        'box.thisSideUp': 'This side up',
+        'box.generateFirst': 'Generate a box first!',
+        'box.invalidPlacement': 'Invalid placement!',
+        'box.orientation': 'Orientation {index}/{count}',
+        'box.placed': 'Box placed!',
+        'box.placedWithWarning': '{message} Warning: {warning}',
+        'box.offSupportHeight': 'Box is not at its support height!',
+        'box.notFound': 'Box not found.',
+        'box.repositionBlocked': 'Cannot reposition! There is a box on top. Move it first or select the stack.',
+        'box.readyToReposition': '{color} box ready to reposition!',
+        'box.noneInHand': 'No box in hand!',
+        'box.returnedToQueue': 'Box {sku} returned to the queue.',
+        'box.discarded': 'Box discarded.',
+        'box.placeCurrentFirst': 'Place the current box before repositioning another.',
+        'box.aimToReposition': 'Point at a box to reposition it.',
+
+        'measure.tapCorner': 'Tap corner {index}/{count} of the box base, going around the outline.',
+        'measure.tapTop': 'Now tap the top of the box.',
+        'measure.result': 'Measured: {dims} (± {uncertainty})',
+        'measure.imprecise': 'Imprecise measurement: check the corners or measure again.',
+        'measure.alreadyComplete': 'Measurement complete: use it or cancel.',
+        'measure.pointTooClose': 'Point too close to a corner already marked!',
+        'measure.topTooLow': 'The top must be above the base!',
+        'measure.tooSmall': 'Box too small to measure!',
+        'measure.cancelled': 'Measuring cancelled.',
+        'measure.boxCreated': 'Measured box ready to place!',
+        'measure.arOnly': 'Measuring uses real surfaces: start AR.',
+
+        'pallet.type.pbr': 'PBR 1.20 × 1.00 m',
+        'pallet.type.euro': 'Euro 1.20 × 0.80 m',
+        'pallet.type.us': 'US 48 × 40 in',
+        'pallet.type.custom': 'Custom',
+        'pallet.resetToChange': 'Reset to change the pallet!',
+        'pallet.unknownType': 'Unknown pallet type!',
+        'pallet.sizeRequired': 'Enter the pallet width and depth!',
+        'pallet.invalidMaxHeight': 'Invalid maximum load height!',
+        'pallet.invalidOverhang': 'Invalid overhang!',
+        'pallet.configured': 'Pallet {label} configured!',
+        'pallet.notPlaced': 'Pallet not placed yet!',
+        'pallet.rotated': 'Pallet rotated to {degrees}°',
+        'pallet.nudged': 'Pallet moved!',
+        'pallet.placeFirst': 'Place the pallet first!',
+        'pallet.placed': 'Pallet placed!',
+        'pallet.boxStacked': 'Box stacked! (Total: {count})',
+        'pallet.boxTooLarge': 'Box is larger than the pallet! Try rotating it.',
+        'pallet.boxTooTall': 'Box exceeds the maximum load height ({maxHeight})!',
+        'pallet.empty': 'The pallet is empty!',
+        'pallet.closed': '{sku} closed: {count} box(es), {mass}.',
+        'pallet.queuedInTruck': '{message} Queued for the truck.',
+        'pallet.unitSku': 'PALLET-{number}',
+        'pallet.unitDescription': 'Pallet {label} · {count} box(es)',
+        'pallet.aimAtLoaded': 'Point at a loaded pallet.',
+        'pallet.opened': '{sku} opened.',
+        'pallet.unitClosed': '{sku} closed.',
+
+        'truck.profile.model': 'Scale model 1.90 × 1.10 m',
+        'truck.profile.container20': "Container 20'",
+        'truck.profile.container40': "Container 40'",
+        'truck.scale.real': 'Full size (1:1)',
+        'truck.resetToChange': 'Reset to change the truck body!',
+        'truck.unknownProfile': 'Unknown truck body!',
+        'truck.invalidScale': 'Invalid scale!',
+        'truck.configured': 'Truck body {label} selected!',
+        'truck.notPlaced': 'Truck body not placed yet!',
+        'truck.rotated': 'Truck body rotated to {degrees}°',
+        'truck.nudged': 'Truck body moved!',
+        'truck.placeFirst': 'Place the truck body first!',
+        'truck.placed': 'Truck body placed!',
+        'truck.boxLoaded': 'Box loaded! (Total: {count})',
+        'truck.boxTooLarge': 'Box is larger than the truck body! Try rotating it.',
+        'truck.boxTooTall': 'Box exceeds the truck body height!',
+
+        'support.insufficient': 'Insufficient support: {pct} of the base supported (minimum {minPct})!',
+        'support.centerOutside': 'Centre of mass outside the support area!',
+        'load.payloadExceeded': 'Total load would exceed the limit ({total} / {max})!',
+        'load.crushed': '{color} box below would carry {load} (limit {limit})!',
+        'axle.frontOverloaded': 'Front axle overloaded ({load} / {max})!',
+        'axle.rearOverloaded': 'Rear axle overloaded ({load} / {max})!',
+        'axle.frontLight': 'Too little weight on the front axle ({share}): load concentrated near the door!',
+        'axle.unbalancedLeft': 'Load unbalanced to the left ({offset})!',
+        'axle.unbalancedRight': 'Load unbalanced to the right ({offset})!',
+
+        'rules.updated': 'Stacking rules updated!',
+        'rules.positiveInteger': '{label}: enter a positive whole number!',
+        'rules.colorWeight': 'Colour hierarchy',
+        'rules.colorWeight.error': '{newName} box cannot be stacked on a {targetName} box!',
+        'rules.fragile': 'Fragile (nothing on top)',
+        'rules.fragile.error': 'Box {box} is fragile: nothing may go on top!',
+        'rules.thisSideUp': 'This side up',
+        'rules.thisSideUp.error': 'Box {box} must stay this side up!',
+        'rules.maxTiers': 'Max. tiers',
+        'rules.maxTiers.param': 'Tiers',
+        'rules.maxTiers.error': 'Stack would exceed {max} tier(s)!',
+        'rules.maxPerColumn': 'Max. boxes per column',
+        'rules.maxPerColumn.param': 'Boxes',
+        'rules.maxPerColumn.error': 'Column would exceed {max} box(es)!',
+        'rules.segregation': 'Category segregation',
+        'rules.segregation.pairs': 'Incompatible pairs (a:b; c:d)',
+        'rules.segregation.distance': 'Distance (m)',
+        'rules.segregation.invalidDistance': 'Segregation: invalid distance!',
+        'rules.segregation.error': 'Category "{category}" cannot be next to "{other}" (box {box})!',
+
+        'delivery.stop': 'Stop {stop}',
+        'delivery.noStop': 'No stop',
+        'delivery.invalidStop': 'Invalid stop!',
+        'delivery.boxWithoutStop': 'Box without a stop.',
+        'delivery.boxStop': 'Box for stop {stop}.',
+        'delivery.nothingToUnload': 'No stop to unload!',
+        'delivery.stopBlocked': 'Stop {stop} blocked by {count} box(es)!',
+        'delivery.unloaded': 'Stop {stop} unloaded: {count} box(es).',
+        'delivery.undoHint': '{message} Undo puts the boxes back.',
+        'delivery.wouldBlock.above': 'Box for stop {stop} would sit on top of a box for stop {otherStop}!',
+        'delivery.wouldBlock.front': 'Box for stop {stop} would sit in front of a box for stop {otherStop}!',
+        'delivery.wouldBeBlocked.above':
+            'Box for stop {stop} would be blocked by a box for stop {otherStop} (on top)!',
+        'delivery.wouldBeBlocked.front':
+            'Box for stop {stop} would be blocked by a box for stop {otherStop} (in front)!',
+        'delivery.noStopWouldBlock.above': 'Box with no stop would sit on top of a box for stop {otherStop}!',
+        'delivery.noStopWouldBlock.front': 'Box with no stop would sit in front of a box for stop {otherStop}!',
+        'delivery.wouldBeBlockedByNoStop.above':
+            'Box for stop {stop} would be blocked by a box with no stop (on top)!',
+        'delivery.wouldBeBlockedByNoStop.front':
+            'Box for stop {stop} would be blocked by a box with no stop (in front)!',
+
+        'suggest.best': 'Best position marked.',
+        'suggest.found': 'Best position marked, plus {count} alternative(s).',
+        'suggest.none': 'No valid position in this orientation. Try rotating the box.',
+
+        // Seleção e movimento em grupo
+        'group.selection': '{count} box(es) selected. Tap "Reposition" to move them together.',
+        'group.stackSelected': 'Stack of {count} box(es) selected. Tap "Reposition" to move it.',
+        'group.aimToSelect': 'Point at a box to select it.',
+        'group.empty': 'No boxes selected!',
+        'group.blocked': 'Cannot move! There is an unselected box on top. Select the stack.',
+        'group.readyToMove': '{count} box(es) ready to move together.',
+        'group.notLevel': 'The group would not be fully supported here!',
+        'group.placed': 'Group of {count} box(es) placed!',
+        'group.cannotRotate': 'Cannot rotate a group! Move the boxes one by one to rotate them.',
+        'group.moveCancelled': 'Move cancelled. The boxes are back in place.',
+        'group.selectionCleared': 'Selection cleared.',
+
+        'arrange.nothingPending': 'No pending boxes!',
+        'arrange.result': '{placed} box(es) arranged, {unplaced} did not fit. Utilization: {utilization}',
+        'arrange.didNotFit': 'Did not fit: {boxes}',
+
+        'colors.scheme.category': 'Volume',
+        'colors.scheme.weight': 'Weight',
+        'colors.scheme.sku': 'SKU',
+        'colors.scheme.stop': 'Stop',
+        'colors.scheme.order': 'Loading order',
+        'colors.scheme.rules': 'Rule status',
+        'colors.unknownScheme': 'Unknown colour scheme!',
+        'colors.schemeSelected': 'Colours by: {scheme}',
+        'colors.moreSkus': '+{count} SKU(s)',
+        'colors.noSku': 'No SKU',
+        'colors.noStop': 'No stop (colour by volume)',
+        'colors.ordinal': '#{order}',
+        'colors.rulesOk': 'Rules OK ({count})',
+        'colors.rulesViolated': 'Breaks rules ({count})',
+
+        'history.placeContainer': 'place container',
+        'history.placeBox': 'place box',
+        'history.discardBox': 'discard box',
+        'history.repositionBox': 'reposition box',
+        'history.moveGroup': 'move group',
+        'history.loadPallet': 'load pallet onto truck',
+        'history.transferBlocked': 'Undo or redo the later actions in the other mode first.',
+        'history.autoArrange': 'auto-arrange',
+        'history.importManifest': 'import manifest',
+        'history.unloadStop': 'unload stop',
+        'history.rotateContainer': 'rotate container',
+        'history.nudgeContainer': 'move container',
+        'history.nothingToUndo': 'Nothing to undo!',
+        'history.nothingToRedo': 'Nothing to redo!',
+        'history.undone': 'Undone: {action}',
+        'history.redone': 'Redone: {action}',
+
+        'manifest.loaded': 'Manifest: {skus} SKU(s), {boxes} box(es) queued!',
+        'manifest.error': 'Manifest error: {error}',
+        'manifest.missingSku': 'Line {line}: missing SKU/id.',
+        'manifest.invalidDims': 'Line {line}: invalid dimensions for SKU {sku}.',
+        'manifest.invalidQuantity': 'Line {line}: invalid quantity for SKU {sku}.',
+        'manifest.invalidMass': 'Line {line}: invalid weight for SKU {sku}.',
+        'manifest.invalidStop': 'Line {line}: invalid stop for SKU {sku}.',
+        'manifest.emptyCSV': 'Empty CSV manifest.',
+        'manifest.invalidJSON': 'Invalid JSON: {error}',
+        'manifest.emptyJSON': 'JSON manifest has no items.',
+        'manifest.skuNotQueued': 'No box of SKU {sku} in the queue!',
+
+        'export.nothing': 'Nothing to export yet!',
+        'export.report': 'Report',
+        'report.title': 'Load plan — {name}',
+        'report.print': 'Print',
+        'report.summary': 'Generated on {createdAt} · {size}, max. height {maxHeight} · ' +
+            '{count} box(es), {volume} ({utilization}), {mass}',
+        'report.topView': 'Top view',
+        'report.sideView': 'Side view',
+        'report.sequence': 'Loading sequence',
+        'report.description': 'Description',
+        'report.color': 'Colour',
+        'report.dims': 'Dimensions',
+        'report.mass': 'Weight',
+        'report.position': 'Position x; y; z',
+
+        'plans.namePlaceholder': 'Plan name',
+        'plans.saveCurrent': 'Save current',
+        'plans.none': 'No saved plans.',
+        'plans.open': 'Open',
+        'plans.duplicate': 'Duplicate',
+        'plans.delete': 'Delete',
+        'plans.opened': 'Plan "{name}" opened!',
+        'plans.saved': 'Plan "{name}" saved!',
+        'plans.saveFailed': 'Could not save (storage full?)',
+        'plans.unnamed': 'Untitled plan',
+        'plans.copyName': '{name} (copy)'
+    },
+
+    es: {
+        'ui.pageTitle': 'WebXR - Cubicaje y Picking',
+        'ui.appTitle': 'Cubicaje & Picking AR',
+        'ui.language': 'Idioma',
+        'ui.units': 'Unidades',
+        'units.metric': 'Métrico',
+        'units.imperial': 'Imperial',
+        'start.ar': 'Iniciar AR',
+        'start.desktop': 'Modo 3D (sin AR)',
+        'mode.cubagem': 'Cubicaje',
+        'mode.picking': 'Picking',
+
+        'hud.boxes': 'Cajas:',
+        'hud.payload': 'Carga:',
+        'hud.pending': 'Pendientes:',
+        'hud.queueNext': 'Siguiente de la cola',
+        'hud.stop': 'Parada:',
+        'hud.colors': 'Colores:',
+        'hud.mode': 'Modo:',
+        'stats.utilization': 'Ocupación:',
+        'stats.free': 'Libre:',
+        'stats.height': 'Altura:',
+        'stats.cog': 'CG:',
+        'axle.front': 'Eje delant.',
+        'axle.rear': 'Eje tras.',
+        'axle.cogLongitudinal': 'CG long.:',
+        'axle.cogLateral': 'lat.:',
+        'axle.fromFront': '{distance} desde el frente',
+
+        'setup.pallet': 'Palé',
+        'setup.width': 'Ancho (m)',
+        'setup.depth': 'Fondo (m)',
+        'setup.maxHeight': 'Altura máx. (m)',
+        'setup.overhang': 'Sobresaliente lateral (m)',
+        'setup.truck': 'Carrocería',
+        'setup.scale': 'Escala',
+        'snap.label': 'Encaje',
+        'snap.grid': 'Rejilla',
+        'snap.enabled': '¡Encaje activado!',
+        'snap.disabled': '¡Encaje desactivado!',
+        'snap.invalidGrid': '¡Rejilla de encaje no válida!',
+
+        'controls.newBox': 'Nueva Caja',
+        'controls.measure': 'Medir caja',
+        'controls.useMeasure': 'Usar medida',
+        'controls.cancelMeasure': 'Cancelar medición',
+        'controls.rotate': 'Girar',
+        'controls.suggest': 'Sugerir',
+        'controls.place': 'Colocar',
+        'controls.reposition': 'Reubicar',
+        'controls.select': 'Seleccionar',
+        'controls.selectStack': 'Seleccionar pila',
+        'controls.discard': 'Descartar',
+        'controls.undo': 'Deshacer',
+        'controls.redo': 'Rehacer',
+        'controls.autoArrange': 'Auto-acomodar',
+        'controls.unload': 'Descargar parada',
+        'controls.loadPallet': 'Cargar en el camión',
+        'controls.openPallet': 'Abrir palé',
+        'controls.manifest': 'Manifiesto',
+        'controls.export': 'Exportar',
+        'controls.align': 'Alinear',
+        'controls.rules': 'Reglas',
+        'controls.plans': 'Planes',
+        'controls.modePicking': 'Modo: Picking',
+        'controls.modeCubagem': 'Modo: Cubicaje',
+        'controls.reset': 'Reiniciar',
+
+        'status.start': 'Toque "Iniciar AR" para comenzar',
+        'status.aimSurface': 'Apunte a una superficie plana',
+        'status.searchingSurface': 'Apunte a una superficie plana...',
+        'status.moveMouse': 'Mueva el ratón sobre el piso...',
+        'status.desktopStart': 'Modo 3D: mueva el ratón sobre el piso. Arrastre para girar la cámara.',
+        'status.sessionEnded': 'Sesión finalizada. Toque para reiniciar.',
+        'status.surfaceDetectedPallet': '¡Superficie detectada! Toque "Colocar" para poner el palé.',
+        'status.surfaceDetectedTruck': '¡Superficie detectada! Toque "Colocar" para poner la caja de carga.',
+        'status.aimingBox': 'Apuntando a la caja {color} — toque "Reubicar" para moverla.',
+        'status.aimBoxOrNew': 'Apunte a una caja para reubicarla o genere una nueva.',
+        'status.aimAndPlace': 'Apunte donde quiere ponerla y toque "Colocar".',
+        'status.newBoxOrRemove': 'Genere una nueva caja o apunte a una para quitarla.',
+        'status.aimSurfaceAndPlace': 'Apunte a una superficie y toque "Colocar".',
+        'status.planRestored': '¡Plan restaurado! Apunte a una superficie y toque "Colocar" para volver a anclarlo.',
+        'status.boxInHand': 'Caja {color} ({volume}) — apunte donde quiere ponerla y toque "Colocar".',
+        'status.palletQueued': 'Palé en la cola de Picking. Coloque un nuevo palé o cambie de modo.',
+        'status.palletPlaced': '¡Palé colocado! Genere una nueva caja.',
+        'status.truckPlaced': '¡Caja de carga colocada! Genere una nueva caja.',
+        'status.boxPlaced': '¡Caja colocada! Genere otra o quite una existente.',
+        'status.aimNewSpot': 'Apunte al nuevo lugar y toque "Colocar".',
+        'status.movingGroup': 'Apunte al nuevo lugar del grupo y toque "Colocar". "Descartar" cancela.',
+        'status.suggestionShown': 'Apunte cerca de la caja fantasma o de un contorno para encajar y toque "Colocar".',
+        'status.manifestLoaded': 'Toque "Nueva Caja" para tomar la siguiente de la cola o elija un SKU.',
+        'status.reset': '¡Reiniciado! Apunte a una superficie.',
+
+        'feedback.webxrUnsupported': '¡WebXR no compatible! Abriendo modo 3D.',
+        'feedback.arUnsupported': '¡AR no compatible con este dispositivo! Abriendo modo 3D.',
+        'feedback.error': 'Error: {error}',
+        'feedback.sessionRestored': '¡Sesión anterior restaurada!',
+        'feedback.restoreFailed': 'No se pudo restaurar el plan guardado: {error}',
+        'feedback.noSurface': '¡No se detectó ninguna superficie!',
+        'feedback.reset': '¡Todo reiniciado!',
+        'container.placeFirst': '¡Coloque primero el contenedor!',
+
+        'color.red': 'Roja',
+        'color.green': 'Verde',
+        'color.blue': 'Azul',
+        'box.volume': 'Vol: {volume}',
+        'box.mass': '{mass} (máx. {maxLoad} encima)',
+        'box.fragile': 'Frágil',
+        'box.thisSideUp': 'Este lado arriba',
+        'box.generateFirst': '¡Genere una caja primero!',
+        'box.invalidPlacement': '¡Posición no válida!',
+        'box.orientation': 'Orientación {index}/{count}',
+        'box.placed': '¡Caja colocada!',
+        'box.placedWithWarning': '{message} Atención: {warning}',
+        'box.offSupportHeight': '¡Caja fuera de la altura de apoyo!',
+        'box.notFound': 'Caja no encontrada.',
+        'box.repositionBlocked': '¡No se puede reubicar! Hay una caja encima. Muévala primero o seleccione la pila.',
+        'box.readyToReposition': '¡Caja {color} lista para reubicar!',
+        'box.noneInHand': '¡Ninguna caja en mano!',
+        'box.returnedToQueue': 'Caja {sku} devuelta a la cola.',
+        'box.discarded': 'Caja descartada.',
+        'box.placeCurrentFirst': 'Coloque la caja actual antes de reubicar otra.',
+        'box.aimToReposition': 'Apunte a una caja para reubicarla.',
+
+        'measure.tapCorner': 'Toque la esquina {index}/{count} de la base de la caja, siguiendo el contorno.',
+        'measure.tapTop': 'Ahora toque la parte superior de la caja.',
+        'measure.result': 'Medida: {dims} (± {uncertainty})',
+        'measure.imprecise': 'Medida imprecisa: revise las esquinas o mida de nuevo.',
+        'measure.alreadyComplete': 'Medición completa: use la medida o cancele.',
+        'measure.pointTooClose': '¡Punto demasiado cerca de una esquina ya marcada!',
+        'measure.topTooLow': '¡La parte superior debe quedar por encima de la base!',
+        'measure.tooSmall': '¡Caja demasiado pequeña para medir!',
+        'measure.cancelled': 'Medición cancelada.',
+        'measure.boxCreated': '¡Caja medida lista para colocar!',
+        'measure.arOnly': 'La medición usa las superficies reales: inicie el AR.',
+
+        'pallet.type.pbr': 'PBR 1,20 × 1,00 m',
+        'pallet.type.euro': 'Euro 1,20 × 0,80 m',
+        'pallet.type.us': 'US 48 × 40 pulg',
+        'pallet.type.custom': 'Personalizado',
+        'pallet.resetToChange': '¡Reinicie para cambiar el palé!',
+        'pallet.unknownType': '¡Tipo de palé desconocido!',
+        'pallet.sizeRequired': '¡Indique el ancho y el fondo del palé!',
+        'pallet.invalidMaxHeight': '¡Altura máxima de carga no válida!',
+        'pallet.invalidOverhang': '¡Sobresaliente lateral no válido!',
+        'pallet.configured': '¡Palé {label} configurado!',
+        'pallet.notPlaced': '¡El palé aún no está colocado!',
+        'pallet.rotated': 'Palé girado a {degrees}°',
+        'pallet.nudged': '¡Palé desplazado!',
+        'pallet.placeFirst': '¡Coloque primero el palé!',
+        'pallet.placed': '¡Palé colocado!',
+        'pallet.boxStacked': '¡Caja apilada! (Total: {count})',
+        'pallet.boxTooLarge': '¡Caja más grande que el palé! Intente girarla.',
+        'pallet.boxTooTall': '¡La caja excede la altura máxima de carga ({maxHeight})!',
+        'pallet.empty': '¡El palé está vacío!',
+        'pallet.closed': '{sku} cerrado: {count} caja(s), {mass}.',
+        'pallet.queuedInTruck': '{message} En la cola del camión.',
+        'pallet.unitSku': 'PALET-{number}',
+        'pallet.unitDescription': 'Palé {label} · {count} caja(s)',
+        'pallet.aimAtLoaded': 'Apunte a un palé cargado.',
+        'pallet.opened': '{sku} abierto.',
+        'pallet.unitClosed': '{sku} cerrado.',
+
+        'truck.profile.model': 'Maqueta 1,90 × 1,10 m',
+        'truck.profile.container20': "Contenedor 20'",
+        'truck.profile.container40': "Contenedor 40'",
+        'truck.scale.real': 'Real (1:1)',
+        'truck.resetToChange': '¡Reinicie para cambiar la carrocería!',
+        'truck.unknownProfile': '¡Carrocería desconocida!',
+        'truck.invalidScale': '¡Escala no válida!',
+        'truck.configured': '¡Carrocería {label} seleccionada!',
+        'truck.notPlaced': '¡La caja de carga aún no está colocada!',
+        'truck.rotated': 'Caja de carga girada a {degrees}°',
+        'truck.nudged': '¡Caja de carga desplazada!',
+        'truck.placeFirst': '¡Coloque primero la caja de carga!',
+        'truck.placed': '¡Caja de carga colocada!',
+        'truck.boxLoaded': '¡Caja cargada! (Total: {count})',
+        'truck.boxTooLarge': '¡Caja más grande que la caja de carga! Intente girarla.',
+        'truck.boxTooTall': '¡La caja excede la altura de la caja de carga!',
+
+        'support.insufficient': '¡Apoyo insuficiente: {pct} de la base apoyada (mínimo {minPct})!',
+        'support.centerOutside': '¡Centro de masa fuera del área de apoyo!',
+        'load.payloadExceeded': '¡La carga total excedería el límite ({total} / {max})!',
+        'load.crushed': '¡La caja {color} de abajo soportaría {load} (límite {limit})!',
+        'axle.frontOverloaded': '¡Eje delantero sobrecargado ({load} / {max})!',
+        'axle.rearOverloaded': '¡Eje trasero sobrecargado ({load} / {max})!',
+        'axle.frontLight': '¡Poco peso en el eje delantero ({share}): carga concentrada cerca de la puerta!',
+        'axle.unbalancedLeft': '¡Carga desbalanceada hacia la izquierda ({offset})!',
+        'axle.unbalancedRight': '¡Carga desbalanceada hacia la derecha ({offset})!',
+
+        'rules.updated': '¡Reglas de apilado actualizadas!',
+        'rules.positiveInteger': '{label}: ¡indique un número entero positivo!',
+        'rules.colorWeight': 'Jerarquía de colores',
+        'rules.colorWeight.error': '¡La caja {newName} no se puede apilar sobre una caja {targetName}!',
+        'rules.fragile': 'Frágil (nada encima)',
+        'rules.fragile.error': 'La caja {box} es frágil: ¡nada puede ir encima!',
+        'rules.thisSideUp': 'Este lado arriba',
+        'rules.thisSideUp.error': '¡La caja {box} debe quedar con este lado arriba!',
+        'rules.maxTiers': 'Máx. niveles',
+        'rules.maxTiers.param': 'Niveles',
+        'rules.maxTiers.error': '¡La pila excedería {max} nivel(es)!',
+        'rules.maxPerColumn': 'Máx. cajas por columna',
+        'rules.maxPerColumn.param': 'Cajas',
+        'rules.maxPerColumn.error': '¡La columna excedería {max} caja(s)!',
+        'rules.segregation': 'Segregación de categorías',
+        'rules.segregation.pairs': 'Pares incompatibles (a:b; c:d)',
+        'rules.segregation.distance': 'Distancia (m)',
+        'rules.segregation.invalidDistance': 'Segregación: ¡distancia no válida!',
+        'rules.segregation.error': '¡La categoría "{category}" no puede ir junto a "{other}" (caja {box})!',
+
+        'delivery.stop': 'Parada {stop}',
+        'delivery.noStop': 'Sin parada',
+        'delivery.invalidStop': '¡Parada no válida!',
+        'delivery.boxWithoutStop': 'Caja sin parada.',
+        'delivery.boxStop': 'Caja de la parada {stop}.',
+        'delivery.nothingToUnload': '¡Ninguna parada para descargar!',
+        'delivery.stopBlocked': '¡Parada {stop} bloqueada por {count} caja(s)!',
+        'delivery.unloaded': 'Parada {stop} descargada: {count} caja(s).',
+        'delivery.undoHint': '{message} Deshacer vuelve a colocar las cajas.',
+        'delivery.wouldBlock.above': '¡La caja de la parada {stop} quedaría encima de una caja de la parada {otherStop}!',
+        'delivery.wouldBlock.front': '¡La caja de la parada {stop} quedaría delante de una caja de la parada {otherStop}!',
+        'delivery.wouldBeBlocked.above':
+            '¡La caja de la parada {stop} quedaría bloqueada por una caja de la parada {otherStop} (encima)!',
+        'delivery.wouldBeBlocked.front':
+            '¡La caja de la parada {stop} quedaría bloqueada por una caja de la parada {otherStop} (delante)!',
+        'delivery.noStopWouldBlock.above': '¡La caja sin parada quedaría encima de una caja de la parada {otherStop}!',
+        'delivery.noStopWouldBlock.front': '¡La caja sin parada quedaría delante de una caja de la parada {otherStop}!',
+        'delivery.wouldBeBlockedByNoStop.above':
+            '¡La caja de la parada {stop} quedaría bloqueada por una caja sin parada (encima)!',
+        'delivery.wouldBeBlockedByNoStop.front':
+            '¡La caja de la parada {stop} quedaría bloqueada por una caja sin parada (delante)!',
+
+        'suggest.best': 'Mejor posición marcada.',
+        'suggest.found': 'Mejor posición marcada, más {count} alternativa(s).',
+        'suggest.none': 'Ninguna posición válida en esta orientación. Intente girar la caja.',
+
+        // Seleção e movimento em grupo
+        'group.selection': '{count} caja(s) seleccionada(s). Toque "Reubicar" para moverlas juntas.',
+        'group.stackSelected': 'Pila de {count} caja(s) seleccionada. Toque "Reubicar" para moverla.',
+        'group.aimToSelect': 'Apunte a una caja para seleccionarla.',
+        'group.empty': '¡Ninguna caja seleccionada!',
+        'group.blocked': '¡No se puede mover! Hay una caja fuera de la selección encima. Seleccione la pila.',
+        'group.readyToMove': '{count} caja(s) listas para mover juntas.',
+        'group.notLevel': '¡El grupo no quedaría apoyado por completo aquí!',
+        'group.placed': '¡Grupo de {count} caja(s) colocado!',
+        'group.cannotRotate': '¡No se puede girar un grupo! Mueva las cajas una a una para girarlas.',
+        'group.moveCancelled': 'Movimiento cancelado. Las cajas volvieron a su lugar.',
+        'group.selectionCleared': 'Selección borrada.',
+
+        'arrange.nothingPending': '¡Ninguna caja pendiente!',
+        'arrange.result': '{placed} caja(s) acomodada(s), {unplaced} no cupieron. Ocupación: {utilization}',
+        'arrange.didNotFit': 'No cupieron: {boxes}',
+
+        'colors.scheme.category': 'Volumen',
+        'colors.scheme.weight': 'Peso',
+        'colors.scheme.sku': 'SKU',
+        'colors.scheme.stop': 'Parada',
+        'colors.scheme.order': 'Orden de carga',
+        'colors.scheme.rules': 'Estado de las reglas',
+        'colors.unknownScheme': '¡Esquema de colores desconocido!',
+        'colors.schemeSelected': 'Colores por: {scheme}',
+        'colors.moreSkus': '+{count} SKU(s)',
+        'colors.noSku': 'Sin SKU',
+        'colors.noStop': 'Sin parada (color por volumen)',
+        'colors.ordinal': '{order}.ª',
+        'colors.rulesOk': 'Reglas OK ({count})',
+        'colors.rulesViolated': 'Incumple reglas ({count})',
+
+        'history.placeContainer': 'colocar contenedor',
+        'history.placeBox': 'colocar caja',
+        'history.discardBox': 'descartar caja',
+        'history.repositionBox': 'reubicar caja',
+        'history.moveGroup': 'mover grupo',
+        'history.loadPallet': 'cargar palé en el camión',
+        'history.transferBlocked': 'Deshaga o rehaga antes las acciones siguientes en el otro modo.',
+        'history.autoArrange': 'auto-acomodar',
+        'history.importManifest': 'importar manifiesto',
+        'history.unloadStop': 'descargar parada',
+        'history.rotateContainer': 'girar contenedor',
+        'history.nudgeContainer': 'desplazar contenedor',
+        'history.nothingToUndo': '¡Nada que deshacer!',
+        'history.nothingToRedo': '¡Nada que rehacer!',
+        'history.undone': 'Deshecho: {action}',
+        'history.redone': 'Rehecho: {action}',
+
+        'manifest.loaded': '¡Manifiesto: {skus} SKU(s), {boxes} caja(s) en la cola!',
+        'manifest.error': 'Error en el manifiesto: {error}',
+        'manifest.missingSku': 'Línea {line}: falta el SKU/id.',
+        'manifest.invalidDims': 'Línea {line}: dimensiones no válidas para el SKU {sku}.',
+        'manifest.invalidQuantity': 'Línea {line}: cantidad no válida para el SKU {sku}.',
+        'manifest.invalidMass': 'Línea {line}: peso no válido para el SKU {sku}.',
+        'manifest.invalidStop': 'Línea {line}: parada no válida para el SKU {sku}.',
+        'manifest.emptyCSV': 'Manifiesto CSV vacío.',
+        'manifest.invalidJSON': 'JSON no válido: {error}',
+        'manifest.emptyJSON': 'Manifiesto JSON sin elementos.',
+        'manifest.skuNotQueued': '¡Ninguna caja del SKU {sku} en la cola!',
+
+        'export.nothing': '¡Aún no hay nada para exportar!',
+        'export.report': 'Informe',
+        'report.title': 'Plan de carga — {name}',
+        'report.print': 'Imprimir',
+        'report.summary': 'Generado el {createdAt} · {size}, altura máx. {maxHeight} · ' +
+            '{count} caja(s), {volume} ({utilization}), {mass}',
+        'report.topView': 'Vista superior',
+        'report.sideView': 'Vista lateral',
+        'report.sequence': 'Secuencia de carga',
+        'report.description': 'Descripción',
+        'report.color': 'Color',
+        'report.dims': 'Dimensiones',
+        'report.mass': 'Peso',
+        'report.position': 'Posición x; y; z',
+
+        'plans.namePlaceholder': 'Nombre del plan',
+        'plans.saveCurrent': 'Guardar actual',
+        'plans.none': 'Ningún plan guardado.',
+        'plans.open': 'Abrir',
+        'plans.duplicate': 'Duplicar',
+        'plans.delete': 'Eliminar',
+        'plans.opened': '¡Plan "{name}" abierto!',
+        'plans.saved': '¡Plan "{name}" guardado!',
+        'plans.saveFailed': 'No se pudo guardar (¿almacenamiento lleno?)',
+        'plans.unnamed': 'Plan sin nombre',
+        'plans.copyName': '{name} (copia)'
+    }
+};
@@ -0,0 +1,15 @@
+// Orientações axis-aligned possíveis: cada uma mapeia as dimensões originais
+// para os eixos locais (X, Y, Z). Cada face fica para cima em duas delas, giradas
+// 90° em Y: altura em (0, 1), profundidade em (2, 5) e largura em (3, 4).
+// Os índices ficam gravados nas sessões salvas, por isso a ordem não muda.
+const HALF_PI = Math.PI / 2;
+export const ORIENTATIONS = [
+    { rotation: [0, 0, 0],             dims: ['width', 'height', 'depth'] },
+    { rotation: [0, HALF_PI, 0],       dims: ['depth', 'height', 'width'] },
+    { rotation: [HALF_PI, 0, 0],       dims: ['width', 'depth', 'height'] },
+    { rotation: [HALF_PI, HALF_PI, 0], dims: ['depth', 'width', 'height'] },
+    { rotation: [0, 0, HALF_PI],       dims: ['height', 'width', 'depth'] },
+    { rotation: [HALF_PI, 0, HALF_PI], dims: ['height', 'depth', 'width'] }
+];
+
+export const ORIENTATION_COUNT = ORIENTATIONS.length;
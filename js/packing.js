@@ -0,0 +1,166 @@
+// Arranjo automático de carga ("Auto-arranjar") por pontos extremos.
+// Módulo puro (sem three.js): a validação de cada posição é delegada ao container,
+// que aplica as mesmas regras do preview manual (limites, altura, cores, apoio, peso).
+
+import { ORIENTATION_COUNT } from './orientation.js';
+
+// Arredondamento (m) para descartar pontos candidatos duplicados
+const POINT_PRECISION = 1e-4;
+
+function pointKey(x, z) {
+    return `${Math.round(x / POINT_PRECISION)}:${Math.round(z / POINT_PRECISION)}`;
+}
+
+/**
+ * Conjunto de pontos extremos no plano XZ: cantos mínimos onde uma nova caixa
+ * pode ser ancorada (canto -X/-Z da caixa no ponto).
+ */
+class ExtremePoints {
+    constructor(bounds) {
+        this.bounds = bounds;
+        this.points = new Map();
+        this.add(bounds.minX, bounds.minZ);
+    }
+
+    add(x, z) {
+        if (x >= this.bounds.maxX || z >= this.bounds.maxZ) return;
+        this.points.set(pointKey(x, z), { x, z });
+    }
+
+    // Pontos gerados por uma caixa ocupando rect: à direita, à frente, sobre ela
+    // e as projeções desses pontos nas paredes do container
+    addFromRect(rect) {
+        this.add(rect.maxX, rect.minZ);
+        this.add(rect.minX, rect.maxZ);
+        this.add(rect.minX, rect.minZ);
+        this.add(rect.maxX, this.bounds.minZ);
+        this.add(this.bounds.minX, rect.maxZ);
+    }
+
+    list() {
+        return [...this.points.values()];
+    }
+}
+
+function createPoints(container) {
+    const points = new ExtremePoints(container.bounds);
+    for (const rect of container.occupied) points.addFromRect(rect);
+    return points;
+}
+
+/**
+ * Posições candidatas de box, na orientação atual, ancorada em cada ponto extremo.
+ * seen descarta posições repetidas (pontos diferentes limitados ao mesmo lugar).
+ */
+function listCandidates(box, points, container, seen) {
+    const candidates = [];
+    // Orientações com as mesmas dimensões (cubos, caixas de base quadrada) dão as mesmas
+    // posições: fica só a primeira, que é de pé quando alguma delas é (regra thisSideUp)
+    const shape = `${box.width}:${box.height}:${box.depth}`;
+    if (seen.has(shape)) return candidates;
+    seen.add(shape);
+
+    for (const point of points.list()) {
+        const probe = container.probe(box, point.x + box.width / 2, point.z + box.depth / 2);
+        const key = `${box.orientation}:${pointKey(probe.x, probe.z)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        candidates.push({
+            orientation: box.orientation,
+            x: probe.x,
+            z: probe.z,
+            base: probe.stackY - box.height / 2
+        });
+    }
+    return candidates;
+}
+
+// Base mais baixa primeiro, depois mais ao fundo (-Z) e mais à esquerda (-X)
+function compareCandidates(a, b) {
+    return (a.base - b.base) || (a.z - b.z) || (a.x - b.x);
+}
+
+/**
+ * Posiciona automaticamente as caixas no container.
+ *
+ * container: {
+ *   bounds:   { minX, maxX, minZ, maxZ }  área útil em coords locais
+ *   occupied: [{ minX, maxX, minZ, maxZ }] footprints já ocupados
+ *   probe(box, x, z)    -> { x, z, stackY }          posição (limitada) e altura, sem validar
+ *   evaluate(box, x, z) -> { x, z, stackY, error }   validação completa
+ *   commit(box, result)                                fixa a caixa
+ *   compare?(a, b)                                     prioridade entre caixas (opcional)
+ * }
+ *
+ * A ordem é dada por compare, se houver; no empate, caixas maiores vão primeiro
+ * (as de cor "mais pesada" ficam embaixo). Para cada caixa, todas as orientações
+ * em todos os pontos extremos são ordenadas pela base mais baixa, depois mais ao
+ * fundo (-Z) e mais à esquerda (-X); a primeira posição válida é usada.
+ * Retorna { placed, unplaced }.
+ */
+export function autoArrange(boxes, container) {
+    const points = createPoints(container);
+
+    const ordered = [...boxes].sort((a, b) =>
+        (container.compare ? container.compare(a, b) : 0) || (b.volume - a.volume));
+    const placed = [];
+    const unplaced = [];
+
+    for (const box of ordered) {
+        const originalOrientation = box.orientation;
+        const candidates = [];
+        const seen = new Set();
+
+        for (let orientation = 0; orientation < ORIENTATION_COUNT; orientation++) {
+            box.setOrientation(orientation);
+            candidates.push(...listCandidates(box, points, container, seen));
+        }
+
+        candidates.sort(compareCandidates);
+
+        let chosen = null;
+        for (const candidate of candidates) {
+            box.setOrientation(candidate.orientation);
+            const result = container.evaluate(box, candidate.x, candidate.z);
+            if (!result.error) {
+                chosen = result;
+                break;
+            }
+        }
+
+        if (!chosen) {
+            box.setOrientation(originalOrientation);
+            unplaced.push(box);
+            continue;
+        }
+
+        container.commit(box, chosen);
+        placed.push(box);
+        points.addFromRect({
+            minX: chosen.x - box.width / 2,
+            maxX: chosen.x + box.width / 2,
+            minZ: chosen.z - box.depth / 2,
+            maxZ: chosen.z + box.depth / 2
+        });
+    }
+
+    return { placed, unplaced };
+}
+
+/**
+ * Melhores posições para box na orientação atual (sugestão ao operador), pelo
+ * mesmo critério do autoArrange. container: como em autoArrange (sem commit).
+ * Retorna até count resultados válidos de container.evaluate, do melhor ao pior.
+ */
+export function suggestPositions(box, container, count) {
+    const candidates = listCandidates(box, createPoints(container), container, new Set());
+    candidates.sort(compareCandidates);
+
+    const suggestions = [];
+    for (const candidate of candidates) {
+        if (suggestions.length >= count) break;
+        const result = container.evaluate(box, candidate.x, candidate.z);
+        if (!result.error) suggestions.push(result);
+    }
+    return suggestions;
+}
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+import { Box } from './box.js';
+import { t } from './i18n.js';
+
+// Peso do palete de madeira vazio (kg)
+const PALLET_TARE = 25;
+
+// Opacidade do invólucro com o palete aberto
+const OPACITY_OPEN = 0.1;
+
+let nextPalletNumber = 1;
+
+/**
+ * Palete montado na Cubagem, carregado como uma unidade no Picking.
+ * Para as regras do caminhão é uma caixa comum: extensões = envoltória da carga
+ * (palete + caixas, com a sobra lateral), massa = caixas + palete. Só gira em
+ * torno da vertical.
+ *
+ * snapshot: {
+ *   type, label, width, depth, floorY   palete de origem (m)
+ *   boxes: [{ box: Box.toJSON(), position: { x, y, z } }]  coords locais do palete
+ * }
+ */
+export class PalletLoad extends Box {
+    constructor(snapshot, options = {}) {
+        const boxes = snapshot.boxes.map(({ box, position }) => ({ box: Box.fromJSON(box), position }));
+        const bounds = unitBounds(snapshot, boxes);
+        const number = options.number ?? nextPalletNumber;
+        nextPalletNumber = Math.max(nextPalletNumber, number + 1);
+
+        const stops = boxes.map(({ box }) => box.stop).filter(stop => stop != null);
+        const categories = new Set(boxes.map(({ box }) => box.category));
+
+        super(bounds.maxX - bounds.minX, bounds.maxY, bounds.maxZ - bounds.minZ, {
+            id: options.id,
+            mass: PALLET_TARE + boxes.reduce((sum, { box }) => sum + box.mass, 0),
+            sku: options.sku ?? t('pallet.unitSku', { number }),
+            description: options.description ??
+                t('pallet.unitDescription', { label: t(snapshot.label), count: boxes.length }),
+            fragile: boxes.some(({ box }) => box.fragile),
+            thisSideUp: true,
+            // Palete com várias categorias não tem uma categoria única para a segregação
+            category: categories.size === 1 ? [...categories][0] : null,
+            // Descarregado na primeira parada que tiver caixas nele
+            stop: stops.length > 0 ? Math.min(...stops) : null
+        });
+
+        this.snapshot = snapshot;
+        this.number = number;
+        this.contents = boxes.map(({ box }) => box);
+        this.open = false;
+
+        // Troca o mesh padrão pelo conjunto palete + caixas
+        this.mesh = this._createUnitMesh(boxes, bounds);
+        this.mesh.userData.box = this;
+        this.setOpen(false);
+    }
+
+    /**
+     * Invólucro com as dimensões da unidade (recebe cor, destaque e raycast)
+     * e, dentro dele, a base de madeira e as caixas. O invólucro tem geometria
+     * própria, sem escala, para não deformar as caixas filhas.
+     */
+    _createUnitMesh(boxes, bounds) {
+        const { width, height, depth } = this.size;
+        const shell = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth));
+        shell.add(new THREE.LineSegments(
+            new THREE.EdgesGeometry(shell.geometry),
+            new THREE.LineBasicMaterial({ color: 0xffffff })
+        ));
+
+        // Centro da unidade no sistema local do palete de origem
+        const cx = (bounds.minX + bounds.maxX) / 2;
+        const cz = (bounds.minZ + bounds.maxZ) / 2;
+        const cy = height / 2;
+
+        this.contentGroup = new THREE.Group();
+        const base = new THREE.Mesh(
+            new THREE.BoxGeometry(this.snapshot.width, this.snapshot.floorY, this.snapshot.depth),
+            new THREE.MeshStandardMaterial({ color: 0xdeb887, roughness: 0.8 })
+        );
+        base.position.set(-cx, this.snapshot.floorY / 2 - cy, -cz);
+        this.contentGroup.add(base);
+
+        for (const { box, position } of boxes) {
+            box.mesh.position.set(position.x - cx, position.y - cy, position.z - cz);
+            this.contentGroup.add(box.mesh);
+        }
+        shell.add(this.contentGroup);
+        return shell;
+    }
+
+    // Só duas orientações: original e girada 90° em torno da vertical
+    setOrientation(index) {
+        super.setOrientation(index % 2);
+    }
+
+    /**
+     * Aberto: invólucro quase transparente e caixas visíveis.
+     * Fechado: bloco sólido, como uma caixa.
+     */
+    setOpen(open) {
+        this.open = open;
+        this.contentGroup.visible = open;
+        this._updateMaterial();
+    }
+
+    _getOpacity() {
+        return this.open ? OPACITY_OPEN : super._getOpacity();
+    }
+
+    // Caixas do palete agrupadas por SKU: [{ sku, description, count, mass }]
+    getContentsSummary() {
+        const groups = new Map();
+        for (const box of this.contents) {
+            const key = box.sku ?? '';
+            if (!groups.has(key)) {
+                groups.set(key, { sku: box.sku, description: box.description, count: 0, mass: 0 });
+            }
+            const group = groups.get(key);
+            group.count++;
+            group.mass += box.mass;
+        }
+        return [...groups.values()];
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), pallet: { number: this.number, snapshot: this.snapshot } };
+    }
+
+    static fromJSON(data) {
+        const unit = new PalletLoad(data.pallet.snapshot, {
+            id: data.id,
+            number: data.pallet.number,
+            sku: data.sku,
+            description: data.description
+        });
+        unit.setOrientation(data.orientation ?? 0);
+        return unit;
+    }
+}
+
+// Envoltória do palete e das caixas no sistema local do palete (y a partir do chão)
+function unitBounds(snapshot, boxes) {
+    const bounds = {
+        minX: -snapshot.width / 2, maxX: snapshot.width / 2,
+        minZ: -snapshot.depth / 2, maxZ: snapshot.depth / 2,
+        maxY: snapshot.floorY
+    };
+    for (const { box, position } of boxes) {
+        bounds.minX = Math.min(bounds.minX, position.x - box.width / 2);
+        bounds.maxX = Math.max(bounds.maxX, position.x + box.width / 2);
+        bounds.minZ = Math.min(bounds.minZ, position.z - box.depth / 2);
+        bounds.maxZ = Math.max(bounds.maxZ, position.z + box.depth / 2);
+        bounds.maxY = Math.max(bounds.maxY, position.y + box.height / 2);
+    }
+    return bounds;
+}
+
+/**
+ * Recria uma caixa ou um palete a partir de toJSON().
+ */
+export function loadFromJSON(data) {
+    return data.pallet ? PalletLoad.fromJSON(data) : Box.fromJSON(data);
+}
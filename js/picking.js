@@ -1,38 +1,238 @@
 import * as THREE from 'three';
 import { Box } from './box.js';
-import { canStack, getStackError } from './stacking.js';
+import { PalletLoad, loadFromJSON } from './palletLoad.js';
+import { ORIENTATION_COUNT } from './orientation.js';
+import { createRulesConfig, getRulesConfigError } from './stacking.js';
+import { footprintAt } from './support.js';
+import { SupportIndicator } from './supportIndicator.js';
+import {
+    snapPosition, findNearestSuggestion, DEFAULT_SNAP_SETTINGS, SUGGESTION_SNAP_DISTANCE
+} from './snapping.js';
+import { SnapGuides } from './snapGuides.js';
+import { SuggestionMarkers } from './suggestionMarkers.js';
+import { LoadPlan, ContainerKind } from './loadPlan.js';
+import { computeColoring, ColorScheme, COLOR_SCHEMES } from './colorSchemes.js';
+import { makeLoadItem, totalMass, DEFAULT_TRUCK_PAYLOAD } from './weight.js';
+import { getNextStop, findBlockers, computeStopSummary } from './delivery.js';
+import { computeAxleLoads } from './axleLoad.js';
+import { t, formatPercent } from './i18n.js';
+
+// Carrocerias disponíveis: dimensões internas úteis (m) e carga útil (kg).
+// width é a largura (eixo X), length o comprimento (eixo Z, fundo em -Z e porta em +Z).
+// label passa por t(): chave de messages.js ou nome próprio, que fica igual em todo idioma.
+export const TRUCK_PROFILES = {
+    MODEL:        { label: 'truck.profile.model', width: 1.9, length: 1.1, height: 0.8, payload: DEFAULT_TRUCK_PAYLOAD },
+    VUC:          { label: 'VUC', width: 2.0, length: 4.2, height: 2.0, payload: 3000 },
+    TRES_QUARTOS: { label: '3/4', width: 2.2, length: 5.0, height: 2.2, payload: 4000 },
+    TOCO:         { label: 'Toco', width: 2.4, length: 7.0, height: 2.5, payload: 6000 },
+    TRUCK:        { label: 'Truck', width: 2.45, length: 8.5, height: 2.6, payload: 12000 },
+    CONTAINER_20: { label: 'truck.profile.container20', width: 2.35, length: 5.9, height: 2.39, payload: 21700 },
+    CONTAINER_40: { label: 'truck.profile.container40', width: 2.35, length: 12.03, height: 2.39, payload: 26500 }
+};
+
+// Eixos de cada carroceria (ver axleLoad.js): posição em metros a partir da parede
+// da frente da caçamba e carga útil máxima em cada eixo (kg). Nos contêineres,
+// "front" é o pino-rei da carreta e "rear" o conjunto de eixos.
+export const TRUCK_AXLES = {
+    MODEL:        { front: -0.3, rear: 0.85, frontMax: 350,   rearMax: 600 },
+    VUC:          { front: -1.0, rear: 2.8,  frontMax: 1200,  rearMax: 2400 },
+    TRES_QUARTOS: { front: -1.2, rear: 3.3,  frontMax: 1600,  rearMax: 3200 },
+    TOCO:         { front: -1.3, rear: 4.6,  frontMax: 2500,  rearMax: 4800 },
+    TRUCK:        { front: -1.3, rear: 5.9,  frontMax: 3500,  rearMax: 10000 },
+    CONTAINER_20: { front: 0.9,  rear: 4.6,  frontMax: 12000, rearMax: 16000 },
+    CONTAINER_40: { front: 0.9,  rear: 10.7, frontMax: 14000, rearMax: 20000 }
+};
+
+// Escalas de exibição (1 = tamanho real)
+export const TRUCK_SCALES = {
+    '1': 'truck.scale.real',
+    '0.5': '1:2',
+    '0.2': '1:5',
+    '0.1': '1:10'
+};
+
+const BALANCE_OK_COLOR = 0x2ecc71;
+const BALANCE_ERROR_COLOR = 0xff3030;
+
+const SUGGESTION_COUNT = 4; // melhor posição sugerida mais as alternativas
+
+// Haste vertical (altura 1, escalada pela altura da caçamba) com um anel no piso
+function createBalanceMarker() {
+    const marker = new THREE.Group();
+    const pole = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 1, 0)]),
+        new THREE.LineBasicMaterial({ color: BALANCE_OK_COLOR, depthTest: false })
+    );
+    const ring = new THREE.Mesh(
+        new THREE.RingGeometry(0.06, 0.09, 24).rotateX(-Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: BALANCE_OK_COLOR, side: THREE.DoubleSide, depthTest: false })
+    );
+    ring.position.y = 0.002;
+    pole.renderOrder = ring.renderOrder = 1;
+    marker.add(pole, ring);
+    marker.visible = false;
+    return marker;
+}
+
+// Ordem de entrega; sem parada conta como depois da última
+function compareStops(a, b) {
+    const rankA = a ?? Infinity;
+    const rankB = b ?? Infinity;
+    return rankA === rankB ? 0 : (rankA < rankB ? -1 : 1);
+}
 
 export class PickingModule {
     constructor(scene) {
         this.scene = scene;
         this.truckGroup = null;
         this.truckPlaced = false;
-        this.placedBoxes = [];   // { box, mesh } em coords locais
+        this.placedBoxes = [];   // { box, mesh, order }: meshes desenhados a partir de plan
         this.currentBox = null;
         this.previewValid = false;
         this.boxCount = 0;
         this.active = false;
+        this.pendingBoxes = [];  // caixas aguardando posicionamento (Auto-arranjar)
+        this.onChange = null;    // callback chamado sempre que placedBoxes muda
+        this.batchingChanges = false; // ver _batchChanges
+        this.placementSeq = 0;   // ordem de carregamento das caixas posicionadas
+        this.restoreLayout = null; // caixas de uma sessão restaurada, aguardando o container
 
-        // Dimensões internas da caçamba
-        this.innerHalfX = 0.95;  // metade da largura útil
-        this.innerHalfZ = 0.55;  // metade da profundidade útil
+        // Dimensões internas da caçamba (definidas pelo perfil de carroceria)
+        this.truckProfile = 'MODEL';
+        this.scale = 1;          // escala de exibição; coords locais continuam em metros reais
+        this.innerHalfX = TRUCK_PROFILES.MODEL.width / 2;   // metade da largura útil
+        this.innerHalfZ = TRUCK_PROFILES.MODEL.length / 2;  // metade da profundidade útil
         this.floorY = 0.03;      // topo do piso
-        this.maxHeight = 0.8;    // altura máxima da caçamba
+        this.maxHeight = TRUCK_PROFILES.MODEL.height;       // altura máxima da caçamba
+
+        this.previewResult = null; // última avaliação do preview (_evaluatePlacement)
+        this.supportIndicator = new SupportIndicator();
+
+        // Marcador do centro de gravidade da carga (verde/vermelho conforme o envelope)
+        this.balanceMarker = createBalanceMarker();
+
+        // Esquema de cores de exibição; por padrão, caixas com parada na cor da parada
+        this.colorScheme = ColorScheme.STOP;
+        this.colorLegend = [];
+
+        // Regras de empilhamento da sessão: { [id]: { enabled, ...params } }
+        this.stackingRules = createRulesConfig();
+
+        // Encaixe do preview em paredes, caixas vizinhas e grade
+        this.snapSettings = { ...DEFAULT_SNAP_SETTINGS };
+        this.snapGuides = new SnapGuides();
+
+        // Melhores posições para a caixa em mão (LoadPlan.suggest), a primeira é a melhor
+        this.suggestions = [];
+        this.suggestionMarkers = new SuggestionMarkers();
+
+        // Caixas selecionadas para mover juntas e o grupo em mão (LoadPlan.getGroupLayout)
+        this.selection = [];
+        this.currentGroup = null;
+
+        // Carga útil máxima da caçamba (kg)
+        this.maxPayload = TRUCK_PROFILES.MODEL.payload;
+
+        // Posições e validação das caixas, sem three.js (ver loadPlan.js)
+        this.plan = new LoadPlan(this._getPlanContainer(), {
+            rules: this.stackingRules,
+            deliveryOrder: true
+        });
+    }
+
+    // Container do modelo de plano a partir da carroceria selecionada
+    _getPlanContainer() {
+        return {
+            kind: ContainerKind.TRUCK,
+            width: this.innerHalfX * 2,
+            depth: this.innerHalfZ * 2,
+            floorY: this.floorY,
+            maxHeight: this.maxHeight,
+            maxPayload: this.maxPayload
+        };
     }
 
     activate() { this.active = true; }
     deactivate() { this.active = false; }
 
-    placeTruck(position) {
+    /**
+     * Seleciona a carroceria e a escala de exibição antes de posicionar a caçamba.
+     * config: { profile, scale }
+     */
+    configureTruck(config) {
+        if (this.truckPlaced) {
+            return { success: false, message: t('truck.resetToChange') };
+        }
+
+        const key = config.profile ?? this.truckProfile;
+        const profile = TRUCK_PROFILES[key];
+        if (!profile) return { success: false, message: t('truck.unknownProfile') };
+
+        const scale = config.scale ?? this.scale;
+        if (!(scale > 0)) return { success: false, message: t('truck.invalidScale') };
+
+        this.truckProfile = key;
+        this.scale = scale;
+        this.innerHalfX = profile.width / 2;
+        this.innerHalfZ = profile.length / 2;
+        this.maxHeight = profile.height;
+        this.maxPayload = profile.payload;
+        this.plan.configure(this._getPlanContainer());
+
+        return { success: true, message: t('truck.configured', { label: t(profile.label) }) };
+    }
+
+    /**
+     * Altera a configuração das regras de empilhamento (ver stacking.js).
+     * changes: { [id]: { enabled, ...params } }; regras omitidas não mudam.
+     */
+    configureRules(changes) {
+        const next = createRulesConfig(this.stackingRules, changes);
+        const error = getRulesConfigError(next);
+        if (error) return { success: false, message: error };
+        this.stackingRules = next;
+        this.plan.configure({}, { rules: next });
+        this._clearSuggestions();
+        this.previewValid = false;
+        this._applyColors();
+        return { success: true, message: t('rules.updated') };
+    }
+
+    /**
+     * Ajusta o encaixe do preview. settings: campos de DEFAULT_SNAP_SETTINGS
+     * (enabled, walls, boxes, grid, gridSize, distance); os omitidos não mudam.
+     */
+    configureSnap(settings) {
+        const next = { ...this.snapSettings, ...settings };
+        if (!(next.gridSize > 0) || !(next.distance >= 0)) {
+            return { success: false, message: t('snap.invalidGrid') };
+        }
+        this.snapSettings = next;
+        if (!next.enabled) this.snapGuides.hide();
+        return { success: true, message: t(next.enabled ? 'snap.enabled' : 'snap.disabled') };
+    }
+
+    /**
+     * Posiciona o container no ponto do hit test, girado rotationY (rad) em torno
+     * da vertical. Todas as regras trabalham em coords locais do grupo.
+     */
+    placeTruck(position, rotationY = 0) {
         if (this.truckPlaced) return;
 
         this.truckGroup = new THREE.Group();
         this.truckGroup.position.copy(position);
+        this.truckGroup.rotation.y = rotationY;
+        // A escala fica no grupo: worldToLocal devolve metros reais da carroceria
+        this.truckGroup.scale.setScalar(this.scale);
 
         this._buildTruck();
 
         this.scene.add(this.truckGroup);
         this.truckPlaced = true;
+        if (this.restoreLayout) {
+            this._rebuildLayout(this.restoreLayout);
+            this.restoreLayout = null;
+        }
     }
 
     _buildTruck() {
@@ -81,41 +281,124 @@ export class PickingModule {
         );
         floorBorder.position.y = this.floorY;
         this.truckGroup.add(floorBorder);
+
+        this.truckGroup.add(this.supportIndicator.group);
+        this.truckGroup.add(this.snapGuides.group);
+        this.truckGroup.add(this.suggestionMarkers.group);
+        this.truckGroup.add(this.balanceMarker);
+        this._updateBalanceMarker();
     }
 
-    generateNewBox() {
+    // Giro manual do container em torno da vertical (rad), para alinhá-lo ao objeto real
+    rotateContainer(angle) {
+        if (!this.truckPlaced) {
+            return { success: false, message: t('truck.notPlaced') };
+        }
+        const full = Math.PI * 2;
+        this.truckGroup.rotation.y = ((this.truckGroup.rotation.y + angle) % full + full) % full;
+        const degrees = Math.round(THREE.MathUtils.radToDeg(this.truckGroup.rotation.y)) % 360;
+        return { success: true, message: t('truck.rotated', { degrees }) };
+    }
+
+    /**
+     * Desloca o container (m, no mundo) ao longo dos seus próprios eixos:
+     * dx para a direita (+X local), dz para a frente (+Z local).
+     */
+    nudgeContainer(dx, dz) {
+        if (!this.truckPlaced) {
+            return { success: false, message: t('truck.notPlaced') };
+        }
+        const offset = new THREE.Vector3(dx, 0, dz).applyQuaternion(this.truckGroup.quaternion);
+        this.truckGroup.position.add(offset);
+        return { success: true, message: t('truck.nudged') };
+    }
+
+    /**
+     * Pega a próxima caixa da fila de pendentes (ou a primeira do SKU pedido).
+     * Sem fila, gera uma caixa aleatória. Uma caixa de manifesto em mão volta para a fila.
+     * Retorna { success, message, box }; um SKU sem caixas na fila não muda a caixa em mão.
+     */
+    generateNewBox(sku = null) {
+        if (sku && this.currentBox?.sku !== sku && !this.pendingBoxes.some(b => b.sku === sku)) {
+            return { success: false, message: t('manifest.skuNotQueued', { sku }) };
+        }
+
+        const previous = this.currentBox;
         this._removeCurrentBox();
-        this.currentBox = Box.createRandom();
+        if (previous && previous.sku) this.pendingBoxes.push(previous);
+
+        if (this.pendingBoxes.length > 0) {
+            const index = sku ? this.pendingBoxes.findIndex(b => b.sku === sku) : 0;
+            this.currentBox = this.pendingBoxes.splice(index, 1)[0];
+            this.currentBox.setErrorHighlight(false);
+        } else {
+            this.currentBox = Box.createRandom();
+        }
+        this.currentBox.setPreviewMode(true);
+        this._applyColors();
+        this.previewValid = false;
+        return {
+            success: true,
+            message: t('status.boxInHand', {
+                color: this.currentBox.getColorName(),
+                volume: this.currentBox.getVolumeText()
+            }),
+            box: this.currentBox
+        };
+    }
+
+    /**
+     * Põe em mão uma caixa criada fora da fila (ex.: medida em AR, ver measure.js).
+     * Uma caixa de manifesto em mão volta para a fila.
+     */
+    holdBox(box) {
+        const previous = this.currentBox;
+        this._removeCurrentBox();
+        if (previous && previous.sku) this.pendingBoxes.push(previous);
+
+        this.currentBox = box;
         this.currentBox.setPreviewMode(true);
+        this._applyColors();
         this.previewValid = false;
         return this.currentBox;
     }
 
+    // Gira a caixa em mão para a próxima orientação; o preview é recalculado no próximo frame
+    rotateCurrentBox() {
+        if (this.currentGroup) {
+            return { success: false, message: t('group.cannotRotate') };
+        }
+        if (!this.currentBox) {
+            return { success: false, message: t('box.generateFirst') };
+        }
+        const index = this.currentBox.rotate();
+        this._clearSuggestions();
+        this.previewValid = false;
+        return { success: true, message: t('box.orientation', { index: index + 1, count: ORIENTATION_COUNT }) };
+    }
+
     updatePreviewFromWorld(worldPos) {
-        if (!this.currentBox || !this.truckPlaced) return;
+        if (!(this.currentBox || this.currentGroup) || !this.truckPlaced) return;
         const localPos = this.truckGroup.worldToLocal(worldPos.clone());
-        this._updatePreview(localPos.x, localPos.z);
+        if (this.currentGroup) {
+            this._updateGroupPreview(localPos.x, localPos.z);
+        } else {
+            this._updatePreview(localPos.x, localPos.z);
+        }
     }
 
     _updatePreview(localX, localZ) {
         const box = this.currentBox;
-        const hw = box.width / 2;
-        const hd = box.depth / 2;
-
-        // Limitar dentro da caçamba
-        const x = Math.max(-this.innerHalfX + hw, Math.min(this.innerHalfX - hw, localX));
-        const z = Math.max(-this.innerHalfZ + hd, Math.min(this.innerHalfZ - hd, localZ));
-
-        const { topBox, stackY } = this._findTopAt(x, z, box);
-
-        // Verificar altura máxima
-        const boxTop = stackY + box.height / 2;
-        const exceedsHeight = boxTop > this.maxHeight;
+        const snap = this._snapPosition(box, localX, localZ);
+        const result = this._evaluatePlacement(box, snap.x, snap.z);
+        const { x, z, stackY } = result;
 
         box.mesh.position.set(x, stackY, z);
+        this.supportIndicator.update(footprintAt(x, z, box), stackY - box.height / 2, result.support);
+        this.snapGuides.update(snap.guides, stackY - box.height / 2);
 
-        const colorOk = canStack(box, topBox);
-        const valid = colorOk && !exceedsHeight;
+        const valid = !result.error;
+        this.previewResult = result;
         this.previewValid = valid;
         box.setErrorHighlight(!valid);
 
@@ -124,118 +407,742 @@ export class PickingModule {
         }
     }
 
-    _findTopAt(x, z, newBox) {
-        let topBox = null;
-        let topSurface = this.floorY;
+    // O grupo em mão segue o hit test como um bloco, encaixado pelo retângulo das bases
+    _updateGroupPreview(localX, localZ) {
+        const group = this.currentGroup;
+        const snap = this._snapPosition(group, localX, localZ);
+        const result = this.plan.evaluateGroup(group, snap.x, snap.z);
 
-        for (const { box, mesh } of this.placedBoxes) {
-            const dx = Math.abs(mesh.position.x - x);
-            const dz = Math.abs(mesh.position.z - z);
-            const overlapX = (box.width + newBox.width) / 2;
-            const overlapZ = (box.depth + newBox.depth) / 2;
-
-            if (dx < overlapX && dz < overlapZ) {
-                const boxTop = mesh.position.y + box.height / 2;
-                if (boxTop > topSurface) {
-                    topSurface = boxTop;
-                    topBox = box;
-                }
-            }
+        for (const { box, x, y, z } of result.members) {
+            box.mesh.position.set(x, y, z);
+            box.setErrorHighlight(!!result.error);
         }
+        this.snapGuides.update(snap.guides, result.baseY);
+
+        this.previewResult = result;
+        this.previewValid = !result.error;
+    }
 
-        return { topBox, stackY: topSurface + newBox.height / 2 };
+    /**
+     * Avalia o posicionamento de box com centro XZ desejado em (localX, localZ),
+     * limitado à caçamba. Retorna o resultado de LoadPlan.evaluate, que inclui a
+     * ordem de descarga das paradas.
+     */
+    _evaluatePlacement(box, localX, localZ) {
+        return this.plan.evaluate(box, localX, localZ);
+    }
+
+    /**
+     * Posição (localX, localZ) limitada à caçamba e puxada para as paredes,
+     * faces das caixas posicionadas e grade, conforme snapSettings.
+     * A distância de encaixe é em metros reais, compensada pela escala da maquete.
+     */
+    _snapPosition(box, localX, localZ) {
+        const { x, z } = this.plan.clampPosition(box, localX, localZ);
+        const suggestion = this.snapSettings.enabled
+            ? findNearestSuggestion(x, z, this.suggestions, SUGGESTION_SNAP_DISTANCE / this.scale)
+            : null;
+        if (suggestion) return { x: suggestion.x, z: suggestion.z, guides: [] };
+
+        const settings = { ...this.snapSettings, distance: this.snapSettings.distance / this.scale };
+        return snapPosition(x, z, box.width / 2, box.depth / 2, {
+            bounds: this.plan.getFloorRect(),
+            neighbours: this.plan.getNeighbourFootprints(x, z, box, settings.distance),
+            settings
+        });
+    }
+
+    // Caixas posicionadas como itens { box, x, y, z } (posicionamentos do plano)
+    _getPlacedItems() {
+        return this.plan.placements;
     }
 
     placeBox() {
+        if (this.currentGroup) return this._placeGroup();
         if (!this.currentBox || !this.truckPlaced) {
-            return { success: false, message: 'Gere uma caixa primeiro!' };
+            return { success: false, message: t('box.generateFirst') };
         }
 
-        if (!this.previewValid) {
-            const pos = this.currentBox.mesh.position;
-            const { topBox } = this._findTopAt(pos.x, pos.z, this.currentBox);
-            const colorError = getStackError(this.currentBox, topBox);
-            const exceedsHeight = (pos.y + this.currentBox.height / 2) > this.maxHeight;
+        const result = this.previewResult;
+        if (!this.previewValid || !result) {
+            return { success: false, message: result?.error || t('box.invalidPlacement') };
+        }
 
-            if (exceedsHeight) {
-                return { success: false, message: 'Caixa excede a altura da caçamba!' };
-            }
-            return { success: false, message: colorError || 'Posicionamento inválido!' };
+        this._commitBox(this.currentBox, result);
+        this.currentBox = null;
+        this.previewResult = null;
+
+        const message = t('truck.boxLoaded', { count: this.boxCount });
+        return {
+            success: true,
+            message: result.supportError ? t('box.placedWithWarning', { message, warning: result.supportError }) : message
+        };
+    }
+
+    // Solta o grupo em mão onde o preview validou; as caixas ganham nova ordem, de baixo para cima
+    _placeGroup() {
+        const result = this.previewResult;
+        if (!this.previewValid || !result) {
+            return { success: false, message: result?.error || t('box.invalidPlacement') };
         }
 
-        this.currentBox.setPreviewMode(false);
-        this.currentBox.setErrorHighlight(false);
+        this.currentGroup = null;
+        this.previewResult = null;
+        this._batchChanges(() => {
+            for (const { box, x, y, z } of result.members) {
+                this._commitBox(box, { x, z, stackY: y });
+            }
+        });
+        this.clearSelection();
+
+        const message = t('group.placed', { count: result.members.length });
+        return {
+            success: true,
+            message: result.supportError ? t('box.placedWithWarning', { message, warning: result.supportError }) : message
+        };
+    }
+
+    // Fixa box na posição avaliada por _evaluatePlacement
+    _commitBox(box, result) {
+        const order = ++this.placementSeq;
+        const placement = this.plan.place(box, result.x, result.stackY, result.z, order);
+        box.mesh.position.set(placement.x, placement.y, placement.z);
+        box.setPreviewMode(false);
+        box.setErrorHighlight(false);
+        this.supportIndicator.hide();
+        this.snapGuides.hide();
+        this._clearSuggestions();
+        if (box.mesh.parent !== this.truckGroup) {
+            this.truckGroup.add(box.mesh);
+        }
 
-        this.placedBoxes.push({ box: this.currentBox, mesh: this.currentBox.mesh });
+        this.placedBoxes.push({ box, mesh: box.mesh, order });
         this.boxCount++;
-        this.currentBox = null;
+        this._notifyChange();
+    }
 
-        return { success: true, message: `Caixa carregada! (Total: ${this.boxCount})` };
+    // Metadados da carroceria para exportação
+    getContainerInfo() {
+        return {
+            kind: 'truck',
+            type: this.truckProfile,
+            name: t(TRUCK_PROFILES[this.truckProfile].label),
+            width: this.innerHalfX * 2,
+            depth: this.innerHalfZ * 2,
+            floorY: this.floorY,
+            maxHeight: this.maxHeight,
+            scale: this.scale,
+            maxPayload: this.maxPayload,
+            axles: { ...TRUCK_AXLES[this.truckProfile] }
+        };
     }
 
-    getAllMeshes() {
-        return this.placedBoxes.map(e => e.mesh);
+    /**
+     * Plano de carga serializável (ver export.js): container, caixas em coords locais
+     * na ordem de carregamento e estatísticas.
+     */
+    getPlan() {
+        const boxes = this.placedBoxes.map(({ box, mesh, order }) => ({
+            id: box.id,
+            order,
+            sku: box.sku,
+            description: box.description,
+            colorCategory: box.colorCategory,
+            color: box.getCSSColor(),
+            mass: box.mass,
+            maxLoad: box.maxLoad,
+            fragile: box.fragile,
+            thisSideUp: box.thisSideUp,
+            category: box.category,
+            size: { ...box.size },
+            width: box.width,
+            height: box.height,
+            depth: box.depth,
+            orientation: box.orientation,
+            position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z }
+        }));
+        boxes.sort((a, b) => a.order - b.order);
+
+        return {
+            mode: 'picking',
+            createdAt: new Date().toISOString(),
+            container: this.getContainerInfo(),
+            boxes,
+            stats: this.getStats()
+        };
+    }
+
+    /**
+     * Estado serializável do módulo: configuração do container, caixas posicionadas
+     * (coords locais) e fila de pendentes. A caixa em mão volta para a fila.
+     */
+    serialize() {
+        const pending = this.currentBox ? [this.currentBox, ...this.pendingBoxes] : this.pendingBoxes;
+        const placedBoxes = this.truckPlaced
+            ? this._getPlacedEntries().map(({ box, order, position }) => ({
+                box: box.toJSON(),
+                order,
+                position: { x: position.x, y: position.y, z: position.z }
+            }))
+            : (this.restoreLayout ?? []);
+
+        return {
+            container: { profile: this.truckProfile, scale: this.scale },
+            rules: this.stackingRules,
+            placed: placedBoxes,
+            pending: pending.map(box => box.toJSON())
+        };
+    }
+
+    /**
+     * Restaura um estado de serialize(). Configuração e fila são aplicadas na hora;
+     * as caixas posicionadas são recriadas quando a caçamba for posicionada de novo,
+     * reancoradas no novo ponto do hit test.
+     */
+    restore(data) {
+        this.reset();
+        this.configureTruck(data.container);
+        this.stackingRules = createRulesConfig(data.rules);
+        this.plan.configure({}, { rules: this.stackingRules });
+        this.pendingBoxes = data.pending.map(item => loadFromJSON(item));
+        this.restoreLayout = data.placed.length > 0 ? data.placed : null;
+        this._notifyChange();
+    }
+
+    // Recria caixas salvas exatamente nas posições locais gravadas, na ordem original
+    _rebuildLayout(layout) {
+        const ordered = [...layout].sort((a, b) => a.order - b.order);
+        this._batchChanges(() => {
+            for (const { box: data, order, position } of ordered) {
+                const box = loadFromJSON(data);
+                this.placementSeq = order - 1;
+                this._commitBox(box, { x: position.x, z: position.z, stackY: position.y });
+            }
+        });
+    }
+
+    /**
+     * Executa fn com uma só notificação no fim (cores, estatísticas e salvamento
+     * automático), em vez de uma por caixa. Retorna o resultado de fn.
+     */
+    _batchChanges(fn) {
+        const outer = this.batchingChanges;
+        this.batchingChanges = true;
+        try {
+            return fn();
+        } finally {
+            this.batchingChanges = outer;
+            if (!outer) this._notifyChange();
+        }
+    }
+
+    _notifyChange() {
+        if (this.batchingChanges) return;
+        this._applyColors();
+        this._updateBalanceMarker();
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Centro de gravidade e carga estimada nos eixos da carroceria selecionada
+     * (ver computeAxleLoads).
+     */
+    getAxleLoads() {
+        const profile = TRUCK_PROFILES[this.truckProfile];
+        return computeAxleLoads(this._getPlacedItems(), {
+            width: profile.width,
+            length: profile.length,
+            axles: TRUCK_AXLES[this.truckProfile]
+        });
+    }
+
+    _updateBalanceMarker() {
+        const loads = this.getAxleLoads();
+        this.balanceMarker.visible = loads.cog !== null;
+        if (!loads.cog) return;
+
+        this.balanceMarker.position.set(loads.cog.x, this.floorY, loads.cog.z);
+        this.balanceMarker.scale.set(1, this.maxHeight, 1);
+        const color = loads.withinEnvelope ? BALANCE_OK_COLOR : BALANCE_ERROR_COLOR;
+        this.balanceMarker.children.forEach(child => child.material.color.setHex(color));
+    }
+
+    /**
+     * Estatísticas de ocupação da carga atual (ver computeLoadStats).
+     */
+    getStats() {
+        return this.plan.getStats();
+    }
+
+    addPendingBoxes(boxes) {
+        this.pendingBoxes.push(...boxes);
+    }
+
+    /**
+     * Arranja automaticamente as caixas pendentes (e a caixa em mão, se houver).
+     * Usa a mesma validação do preview; caixas que não couberem continuam pendentes.
+     * Retorna { success, message, placed, unplaced, utilization }.
+     */
+    autoArrange() {
+        if (!this.truckPlaced) {
+            return { success: false, message: t('truck.placeFirst') };
+        }
+
+        // O grupo em mão volta ao lugar antes: as posições dele não ficam livres para o arranjo
+        this._cancelGroup();
+        const boxes = [...this.pendingBoxes];
+        if (this.currentBox) {
+            boxes.unshift(this.currentBox);
+            this._removeCurrentBox();
+        }
+        if (boxes.length === 0) {
+            return { success: false, message: t('arrange.nothingPending') };
+        }
+
+        const { placed, unplaced } = this._batchChanges(() => {
+            const arranged = this.plan.autoArrange(boxes, {
+                commit: (box, result) => this._commitBox(box, result),
+                // Últimas paradas (e caixas sem parada) primeiro, ao fundo da caçamba
+                compare: (a, b) => compareStops(b.stop, a.stop)
+            });
+            this.pendingBoxes = arranged.unplaced;
+            return arranged;
+        });
+        const utilization = this.getPlacedVolume() / this.getUsableVolume();
+
+        return {
+            success: placed.length > 0,
+            message: t('arrange.result', {
+                placed: placed.length,
+                unplaced: unplaced.length,
+                utilization: formatPercent(utilization)
+            }),
+            placed,
+            unplaced,
+            utilization
+        };
+    }
+
+    // ========== Entregas (multi-drop) ==========
+
+    // Define a parada de entrega da caixa em mão (null = sem parada)
+    setCurrentBoxStop(stop) {
+        if (!this.currentBox) {
+            return { success: false, message: t('box.generateFirst') };
+        }
+        if (stop !== null && !(Number.isInteger(stop) && stop >= 1)) {
+            return { success: false, message: t('delivery.invalidStop') };
+        }
+        this.currentBox.stop = stop;
+        // Sugestões valem para a parada anterior (ordem de descarga)
+        this._clearSuggestions();
+        this._applyColors();
+        this.previewValid = false;
+        return {
+            success: true,
+            message: stop === null ? t('delivery.boxWithoutStop') : t('delivery.boxStop', { stop })
+        };
+    }
+
+    // Resumo da carga por parada: [{ stop, count, mass, volume }]
+    getStopSummary() {
+        return computeStopSummary(this._getPlacedItems());
     }
 
-    _hasBoxOnTop(targetEntry) {
-        const { box: targetBox, mesh: targetMesh } = targetEntry;
+    /**
+     * Simula a descarga da próxima parada: retira da caçamba todas as caixas dela,
+     * desde que nenhuma outra caixa esteja por cima ou à frente (porta em +Z).
+     */
+    unloadNextStop() {
+        this._cancelGroup();
+        const items = this._getPlacedItems();
+        const stop = getNextStop(items);
+        if (stop === null) {
+            return { success: false, message: t('delivery.nothingToUnload') };
+        }
+
+        const unloading = items.filter(item => item.box.stop === stop);
+        const blockers = findBlockers(unloading, items);
+        if (blockers.length > 0) {
+            return {
+                success: false,
+                message: t('delivery.stopBlocked', { stop, count: blockers.length }),
+                blockers: blockers.map(item => item.box)
+            };
+        }
+
+        const removed = new Set(unloading.map(item => item.box));
         for (const { box, mesh } of this.placedBoxes) {
-            if (mesh === targetMesh) continue;
-            if (mesh.position.y <= targetMesh.position.y) continue;
+            if (removed.has(box) && mesh.parent) mesh.parent.remove(mesh);
+        }
+        this.placedBoxes = this.placedBoxes.filter(e => !removed.has(e.box));
+        for (const box of removed) this.plan.remove(box);
+        this.boxCount -= removed.size;
+        this.clearSelection();
+        this._notifyChange();
 
-            const dx = Math.abs(mesh.position.x - targetMesh.position.x);
-            const dz = Math.abs(mesh.position.z - targetMesh.position.z);
-            const overlapX = (box.width + targetBox.width) / 2;
-            const overlapZ = (box.depth + targetBox.depth) / 2;
+        return { success: true, message: t('delivery.unloaded', { stop, count: removed.size }) };
+    }
+
+    // ========== Esquemas de cores ==========
+
+    setColorScheme(scheme) {
+        if (!COLOR_SCHEMES[scheme]) {
+            return { success: false, message: t('colors.unknownScheme') };
+        }
+        this.colorScheme = scheme;
+        this._applyColors();
+        return { success: true, message: t('colors.schemeSelected', { scheme: t(COLOR_SCHEMES[scheme].label) }) };
+    }
 
-            if (dx < overlapX && dz < overlapZ) return true;
+    // Recolore caixas posicionadas e a caixa em mão; a categoria não muda
+    _applyColors() {
+        const entries = this.placedBoxes.map(({ box, mesh, order }) => ({
+            item: makeLoadItem(box, mesh.position.x, mesh.position.y, mesh.position.z),
+            order
+        }));
+        const inHand = this.currentGroup ? this.currentGroup.members.map(m => m.box) : [];
+        if (this.currentBox) inHand.push(this.currentBox);
+        for (const box of inHand) {
+            const { x, y, z } = box.mesh.position;
+            entries.push({ item: makeLoadItem(box, x, y, z), order: null });
         }
-        return false;
+
+        const { colors, legend } = computeColoring(this.colorScheme, entries, { rules: this.stackingRules });
+        for (const { item } of entries) item.box.setDisplayColor(colors.get(item.box) ?? null);
+        this.colorLegend = legend;
+    }
+
+    // Refaz cores e legenda, cujos rótulos dependem do idioma e das unidades atuais
+    refreshColors() {
+        this._applyColors();
+    }
+
+    // Legenda do esquema atual: [{ color, label }] (color null = cor da categoria)
+    getColorLegend() {
+        return this.colorLegend;
+    }
+
+    getAllMeshes() {
+        return this.placedBoxes.map(e => e.mesh);
     }
 
     repositionBox(targetMesh) {
         const entry = this.placedBoxes.find(e => e.mesh === targetMesh);
-        if (!entry) return { success: false, message: 'Caixa não encontrada.' };
+        if (!entry) return { success: false, message: t('box.notFound') };
 
-        if (this._hasBoxOnTop(entry)) {
+        if (this.plan.hasBoxOnTop(entry.box)) {
             return {
                 success: false,
-                message: 'Não é possível reposicionar! Há uma caixa por cima. Mova-a primeiro.'
+                message: t('box.repositionBlocked')
             };
         }
 
         this._removeCurrentBox();
 
+        if (this.selection.includes(entry.box)) {
+            entry.box.setSelected(false);
+            this.selection = this.selection.filter(box => box !== entry.box);
+        }
         this.placedBoxes = this.placedBoxes.filter(e => e.mesh !== targetMesh);
+        this.plan.remove(entry.box);
         this.boxCount--;
+        this._notifyChange();
 
         entry.box.setPreviewMode(true);
         entry.box.setRemovalHighlight(false);
         this.currentBox = entry.box;
         this.previewValid = false;
+        this._applyColors();
 
-        return { success: true, message: `Caixa ${entry.box.getColorName()} pronta para reposicionar!` };
+        return { success: true, message: t('box.readyToReposition', { color: entry.box.getColorName() }) };
+    }
+
+    // Põe na seleção, ou tira dela, a caixa posicionada do mesh
+    toggleSelection(targetMesh) {
+        const entry = this.placedBoxes.find(e => e.mesh === targetMesh);
+        if (!entry) return { success: false, message: t('box.notFound') };
+
+        const selected = !this.selection.includes(entry.box);
+        this.selection = selected
+            ? [...this.selection, entry.box]
+            : this.selection.filter(box => box !== entry.box);
+        entry.box.setSelected(selected);
+        return { success: true, message: t('group.selection', { count: this.selection.length }) };
+    }
+
+    // Acrescenta à seleção a caixa do mesh e toda a coluna empilhada sobre ela
+    selectStack(targetMesh) {
+        const entry = this.placedBoxes.find(e => e.mesh === targetMesh);
+        if (!entry) return { success: false, message: t('box.notFound') };
+
+        const stack = this.plan.getStackAbove(entry.box);
+        for (const box of stack) {
+            if (!this.selection.includes(box)) this.selection.push(box);
+            box.setSelected(true);
+        }
+        return { success: true, message: t('group.stackSelected', { count: stack.length }) };
+    }
+
+    clearSelection() {
+        for (const box of this.selection) box.setSelected(false);
+        this.selection = [];
+    }
+
+    /**
+     * Retira as caixas selecionadas do plano e as torna móveis juntas (currentGroup),
+     * como um bloco rígido. Nenhuma caixa fora da seleção pode estar sobre elas.
+     */
+    repositionSelection() {
+        if (this.selection.length === 0) return { success: false, message: t('group.empty') };
+
+        const blocked = this.selection.some(box =>
+            this.plan.getBoxesOnTop(box).some(other => !this.selection.includes(other)));
+        if (blocked) return { success: false, message: t('group.blocked') };
+
+        this._removeCurrentBox();
+
+        const layout = this.plan.getGroupLayout(this.selection);
+        for (const { box } of layout.members) {
+            this.plan.remove(box);
+            box.setPreviewMode(true);
+            box.setRemovalHighlight(false);
+        }
+        this.placedBoxes = this.placedBoxes.filter(e => !this.selection.includes(e.box));
+        this.boxCount -= layout.members.length;
+        this.currentGroup = layout;
+        this.previewValid = false;
+        this._notifyChange();
+
+        return { success: true, message: t('group.readyToMove', { count: layout.members.length }) };
+    }
+
+    // Devolve o grupo em mão às posições e à ordem de carregamento originais
+    _cancelGroup() {
+        if (!this.currentGroup) return;
+        for (const { box, placement } of this.currentGroup.members) {
+            const { x, y, z, order } = placement;
+            this.plan.place(box, x, y, z, order);
+            box.mesh.position.set(x, y, z);
+            box.setPreviewMode(false);
+            box.setErrorHighlight(false);
+            this.placedBoxes.push({ box, mesh: box.mesh, order });
+        }
+        this.boxCount += this.currentGroup.members.length;
+        this.currentGroup = null;
+        this._notifyChange();
+    }
+
+    /**
+     * Caixas posicionadas { box, order, position }, contando o grupo em mão nas
+     * posições originais: mover um grupo só muda o estado salvo quando ele é solto.
+     */
+    _getPlacedEntries() {
+        const entries = this.placedBoxes.map(({ box, mesh, order }) => ({ box, order, position: mesh.position }));
+        for (const { box, placement } of this.currentGroup?.members ?? []) {
+            entries.push({ box, order: placement.order, position: new THREE.Vector3(placement.x, placement.y, placement.z) });
+        }
+        return entries;
+    }
+
+    /**
+     * Abre ou fecha um palete carregado (ver palletLoad.js) para ver as caixas dele.
+     * Retorna { success, message, open, contents }.
+     */
+    togglePalletOpen(targetMesh) {
+        const entry = this.placedBoxes.find(e => e.mesh === targetMesh);
+        if (!entry || !(entry.box instanceof PalletLoad)) {
+            return { success: false, message: t('pallet.aimAtLoaded') };
+        }
+
+        const unit = entry.box;
+        unit.setOpen(!unit.open);
+        return {
+            success: true,
+            message: t(unit.open ? 'pallet.opened' : 'pallet.unitClosed', { sku: unit.sku }),
+            open: unit.open,
+            contents: unit.getContentsSummary()
+        };
+    }
+
+    /**
+     * Descarta a caixa em mão. Caixas do manifesto voltam para o fim da fila.
+     * Sem caixa em mão, cancela o grupo em mão ou limpa a seleção.
+     */
+    discardCurrentBox() {
+        if (this.currentGroup) {
+            this._removeCurrentBox();
+            return { success: true, message: t('group.moveCancelled') };
+        }
+        const box = this.currentBox;
+        if (!box && this.selection.length > 0) {
+            this.clearSelection();
+            return { success: true, message: t('group.selectionCleared') };
+        }
+        if (!box) return { success: false, message: t('box.noneInHand') };
+
+        this._removeCurrentBox();
+        if (box.sku) {
+            this.pendingBoxes.push(box);
+            return { success: true, message: t('box.returnedToQueue', { sku: box.sku }) };
+        }
+        return { success: true, message: t('box.discarded') };
+    }
+
+    /**
+     * Memento para desfazer/refazer: referências às mesmas caixas com posição,
+     * orientação e ordem, além do container, fila e contadores.
+     */
+    createMemento() {
+        return {
+            container: this.serialize().container,
+            containerPosition: this.truckPlaced ? this.truckGroup.position.clone() : null,
+            containerRotation: this.truckPlaced ? this.truckGroup.rotation.y : 0,
+            placed: this._getPlacedEntries().map(({ box, order, position }) => ({
+                box,
+                order,
+                orientation: box.orientation,
+                position: position.clone()
+            })),
+            pending: [...this.pendingBoxes],
+            currentBox: this.currentBox,
+            currentOrientation: this.currentBox ? this.currentBox.orientation : 0,
+            restoreLayout: this.restoreLayout,
+            boxCount: this.boxCount + (this.currentGroup?.members.length ?? 0),
+            placementSeq: this.placementSeq
+        };
+    }
+
+    restoreMemento(memento) {
+        // Tira todas as caixas da cena; as do memento são recolocadas abaixo
+        this._removeCurrentBox();
+        this.clearSelection();
+        for (const { mesh } of this.placedBoxes) {
+            if (mesh.parent) mesh.parent.remove(mesh);
+        }
+        this.placedBoxes = [];
+        this.plan.clear();
+        this.restoreLayout = null;
+
+        if (!memento.containerPosition && this.truckPlaced) {
+            this.scene.remove(this.truckGroup);
+            this.truckGroup = null;
+            this.truckPlaced = false;
+        } else if (memento.containerPosition && !this.truckPlaced) {
+            this.configureTruck(memento.container);
+            this.placeTruck(memento.containerPosition, memento.containerRotation);
+        } else if (memento.containerPosition) {
+            // Desfaz/refaz giros e deslocamentos manuais do container
+            this.truckGroup.position.copy(memento.containerPosition);
+            this.truckGroup.rotation.y = memento.containerRotation;
+        }
+
+        for (const { box, order, orientation, position } of memento.placed) {
+            box.setOrientation(orientation);
+            box.setPreviewMode(false);
+            box.setErrorHighlight(false);
+            box.setRemovalHighlight(false);
+            this.plan.place(box, position.x, position.y, position.z, order);
+            box.mesh.position.copy(position);
+            this.truckGroup.add(box.mesh);
+            this.placedBoxes.push({ box, mesh: box.mesh, order });
+        }
+
+        this.pendingBoxes = [...memento.pending];
+        this.restoreLayout = memento.restoreLayout;
+        this.boxCount = memento.boxCount;
+        this.placementSeq = memento.placementSeq;
+
+        if (memento.currentBox) {
+            this.currentBox = memento.currentBox;
+            this.currentBox.setOrientation(memento.currentOrientation);
+            this.currentBox.setPreviewMode(true);
+            this.currentBox.setRemovalHighlight(false);
+        }
+        // Sugestões eram para outro layout (ou outra caixa em mão)
+        this._clearSuggestions();
+        this.previewValid = false;
+        this._notifyChange();
     }
 
     _removeCurrentBox() {
+        this._cancelGroup();
         if (this.currentBox && this.currentBox.mesh.parent) {
             this.currentBox.mesh.parent.remove(this.currentBox.mesh);
         }
         this.currentBox = null;
+        this.previewResult = null;
+        this.supportIndicator.hide();
+        this.snapGuides.hide();
+        this._clearSuggestions();
+    }
+
+    /**
+     * Procura as melhores posições para a caixa em mão, na orientação atual
+     * (ver LoadPlan.suggest): caixa fantasma na melhor e contornos nas alternativas.
+     * Com o encaixe ativo, o preview é puxado para elas.
+     */
+    suggestPosition() {
+        if (!this.truckPlaced) return { success: false, message: t('truck.placeFirst') };
+        if (!this.currentBox) return { success: false, message: t('box.generateFirst') };
+
+        this.suggestions = this.plan.suggest(this.currentBox, SUGGESTION_COUNT);
+        this.suggestionMarkers.update(this.currentBox, this.suggestions);
+        this.previewValid = false;
+        if (this.suggestions.length === 0) {
+            return { success: false, message: t('suggest.none') };
+        }
+        const alternatives = this.suggestions.length - 1;
+        return {
+            success: true,
+            message: alternatives > 0 ? t('suggest.found', { count: alternatives }) : t('suggest.best')
+        };
+    }
+
+    _clearSuggestions() {
+        this.suggestions = [];
+        this.suggestionMarkers.hide();
     }
 
     reset() {
         this._removeCurrentBox();
+        this.clearSelection();
         if (this.truckGroup) {
             this.scene.remove(this.truckGroup);
             this.truckGroup = null;
         }
         this.truckPlaced = false;
         this.placedBoxes = [];
+        this.plan.clear();
+        this.pendingBoxes = [];
         this.boxCount = 0;
+        this.placementSeq = 0;
+        this.restoreLayout = null;
         this.previewValid = false;
+        this._notifyChange();
     }
 
     isTruckPlaced() { return this.truckPlaced; }
     getBoxCount() { return this.boxCount; }
+    getTotalMass() { return totalMass(this.placedBoxes.map(e => e.box)); }
+    getPlacedVolume() { return this.placedBoxes.reduce((sum, e) => sum + e.box.volume, 0); }
+    getPendingCount() { return this.pendingBoxes.length; }
+    hasRestoreLayout() { return this.restoreLayout !== null; }
+
+    // Itens pendentes agrupados por SKU: [{ sku, description, count }]
+    getPendingSummary() {
+        const groups = new Map();
+        for (const box of this.pendingBoxes) {
+            const key = box.sku ?? '';
+            const group = groups.get(key) || { sku: box.sku, description: box.description, count: 0 };
+            group.count++;
+            groups.set(key, group);
+        }
+        return [...groups.values()];
+    }
+
+    // Volume útil da caçamba: piso interno até a altura máxima
+    getUsableVolume() {
+        return this.plan.getUsableVolume();
+    }
 }
@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+import { SnapKind } from './snapping.js';
+
+const GUIDE_COLORS = {
+    [SnapKind.WALL]: 0xffff00,
+    [SnapKind.BOX]: 0x00e5ff,
+    [SnapKind.GRID]: 0xff66ff
+};
+
+// Segmento unitário ao longo de X, escalado e girado para cada guia
+const SEGMENT_GEOMETRY = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(-0.5, 0, 0),
+    new THREE.Vector3(0.5, 0, 0)
+]);
+
+/**
+ * Linhas-guia do encaixe: mostram a borda (parede, caixa ou grade) à qual
+ * o preview foi puxado. Vive em coords locais do container.
+ */
+export class SnapGuides {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.lines = [];
+        this.materials = {};
+        for (const [kind, color] of Object.entries(GUIDE_COLORS)) {
+            this.materials[kind] = new THREE.LineBasicMaterial({ color, depthTest: false });
+        }
+    }
+
+    /**
+     * guides: resultado de snapPosition; y: altura da base do preview.
+     */
+    update(guides, y) {
+        if (guides.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.group.visible = true;
+        while (this.lines.length < guides.length) {
+            const line = new THREE.Line(SEGMENT_GEOMETRY, this.materials[SnapKind.BOX]);
+            line.renderOrder = 1;
+            this.lines.push(line);
+            this.group.add(line);
+        }
+
+        this.lines.forEach((line, i) => {
+            const guide = guides[i];
+            line.visible = !!guide;
+            if (!guide) return;
+
+            const mid = (guide.from + guide.to) / 2;
+            line.material = this.materials[guide.kind];
+            line.scale.set(guide.to - guide.from, 1, 1);
+            if (guide.axis === 'x') {
+                // x constante: segmento corre ao longo de Z
+                line.position.set(guide.value, y + 0.004, mid);
+                line.rotation.set(0, Math.PI / 2, 0);
+            } else {
+                line.position.set(mid, y + 0.004, guide.value);
+                line.rotation.set(0, 0, 0);
+            }
+        });
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+}
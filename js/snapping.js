@@ -0,0 +1,143 @@
+// Encaixe (snap) do preview: alinha as bordas da caixa às paredes do container,
+// às faces das caixas vizinhas e, opcionalmente, a uma grade.
+// Módulo puro (sem three.js): trabalha com retângulos no plano XZ em coords locais.
+
+export const DEFAULT_SNAP_DISTANCE = 0.03; // distância máxima para puxar a borda (m)
+export const DEFAULT_GRID_SIZE = 0.05;     // passo da grade (m)
+export const SUGGESTION_SNAP_DISTANCE = 0.08; // raio de atração das posições sugeridas (m)
+
+export const SnapKind = {
+    WALL: 'wall',
+    BOX: 'box',
+    GRID: 'grid'
+};
+
+export const DEFAULT_SNAP_SETTINGS = {
+    enabled: true,
+    walls: true,
+    boxes: true,
+    grid: false,
+    gridSize: DEFAULT_GRID_SIZE,
+    distance: DEFAULT_SNAP_DISTANCE
+};
+
+// Distância entre dois intervalos [minA, maxA] e [minB, maxB] (0 se se sobrepõem)
+function gap(minA, maxA, minB, maxB) {
+    return Math.max(0, minB - maxA, minA - maxB);
+}
+
+/**
+ * Melhor deslocamento para um eixo. edges: [min, max] da caixa; targets:
+ * [{ value, kind, span: [min, max] }] linhas candidatas. Retorna { delta, target } ou null.
+ */
+function bestSnap(edges, targets, distance) {
+    let best = null;
+    for (const target of targets) {
+        for (const edge of edges) {
+            const delta = target.value - edge;
+            if (Math.abs(delta) > distance) continue;
+            // Paredes e caixas têm prioridade sobre a grade em caso de empate
+            const score = Math.abs(delta) + (target.kind === SnapKind.GRID ? distance : 0);
+            if (!best || score < best.score) best = { delta, target, score };
+        }
+    }
+    return best;
+}
+
+function gridTargets(min, max, origin, size) {
+    const first = Math.floor((min - origin) / size);
+    const last = Math.ceil((max - origin) / size);
+    const targets = [];
+    for (let i = first; i <= last; i++) targets.push({ value: origin + i * size, kind: SnapKind.GRID });
+    return targets;
+}
+
+/**
+ * Ajusta o centro (x, z) de uma caixa com meias-dimensões (hw, hd).
+ * context: {
+ *   bounds: { minX, maxX, minZ, maxZ }  paredes (limite da carga)
+ *   neighbours: [{ minX, maxX, minZ, maxZ }]  bases das caixas posicionadas
+ *   settings: ver DEFAULT_SNAP_SETTINGS
+ * }
+ * Retorna { x, z, guides }, com guides: [{ axis: 'x'|'z', value, kind, from, to }]
+ * — uma linha de x (ou z) constante indo de from a to no outro eixo.
+ */
+export function snapPosition(x, z, hw, hd, context) {
+    const settings = { ...DEFAULT_SNAP_SETTINGS, ...context.settings };
+    if (!settings.enabled) return { x, z, guides: [] };
+
+    const { bounds } = context;
+    const distance = settings.distance;
+    const targetsX = [];
+    const targetsZ = [];
+
+    if (settings.walls) {
+        targetsX.push(
+            { value: bounds.minX, kind: SnapKind.WALL, span: [bounds.minZ, bounds.maxZ] },
+            { value: bounds.maxX, kind: SnapKind.WALL, span: [bounds.minZ, bounds.maxZ] });
+        targetsZ.push(
+            { value: bounds.minZ, kind: SnapKind.WALL, span: [bounds.minX, bounds.maxX] },
+            { value: bounds.maxZ, kind: SnapKind.WALL, span: [bounds.minX, bounds.maxX] });
+    }
+
+    if (settings.boxes) {
+        for (const n of context.neighbours) {
+            // Só vizinhas próximas nos dois eixos (encostadas, alinhadas ou por baixo)
+            const near = gap(x - hw, x + hw, n.minX, n.maxX) <= distance &&
+                gap(z - hd, z + hd, n.minZ, n.maxZ) <= distance;
+            if (!near) continue;
+            targetsX.push(
+                { value: n.minX, kind: SnapKind.BOX, span: [n.minZ, n.maxZ] },
+                { value: n.maxX, kind: SnapKind.BOX, span: [n.minZ, n.maxZ] });
+            targetsZ.push(
+                { value: n.minZ, kind: SnapKind.BOX, span: [n.minX, n.maxX] },
+                { value: n.maxZ, kind: SnapKind.BOX, span: [n.minX, n.maxX] });
+        }
+    }
+
+    if (settings.grid && settings.gridSize > 0) {
+        // Grade com origem no canto do container
+        targetsX.push(...gridTargets(x - hw - distance, x + hw + distance, bounds.minX, settings.gridSize));
+        targetsZ.push(...gridTargets(z - hd - distance, z + hd + distance, bounds.minZ, settings.gridSize));
+    }
+
+    const snapX = bestSnap([x - hw, x + hw], targetsX, distance);
+    const snapZ = bestSnap([z - hd, z + hd], targetsZ, distance);
+    const sx = snapX ? x + snapX.delta : x;
+    const sz = snapZ ? z + snapZ.delta : z;
+
+    const guides = [];
+    if (snapX) {
+        const span = snapX.target.span ?? [sz - hd, sz + hd];
+        guides.push({
+            axis: 'x', value: snapX.target.value, kind: snapX.target.kind,
+            from: Math.min(span[0], sz - hd), to: Math.max(span[1], sz + hd)
+        });
+    }
+    if (snapZ) {
+        const span = snapZ.target.span ?? [sx - hw, sx + hw];
+        guides.push({
+            axis: 'z', value: snapZ.target.value, kind: snapZ.target.kind,
+            from: Math.min(span[0], sx - hw), to: Math.max(span[1], sx + hw)
+        });
+    }
+
+    return { x: sx, z: sz, guides };
+}
+
+/**
+ * Posição sugerida (ver LoadPlan.suggest) mais próxima do centro (x, z), se estiver
+ * a até distance; senão null. O preview encaixa nela por inteiro, sem guias.
+ */
+export function findNearestSuggestion(x, z, suggestions, distance) {
+    let nearest = null;
+    let nearestDistance = distance;
+    for (const suggestion of suggestions) {
+        const d = Math.hypot(suggestion.x - x, suggestion.z - z);
+        if (d <= nearestDistance) {
+            nearest = suggestion;
+            nearestDistance = d;
+        }
+    }
+    return nearest;
+}
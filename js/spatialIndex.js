@@ -0,0 +1,98 @@
+// Índice espacial em grade uniforme no plano XZ local: acelera as consultas de
+// sobreposição (caixa mais alta, apoio, contato, caixa por cima) sem percorrer
+// todas as caixas posicionadas.
+// Módulo puro (sem three.js): retângulos { minX, maxX, minZ, maxZ } como em support.js.
+
+// Lado da célula (m): da ordem da menor caixa, para poucas caixas por célula
+export const DEFAULT_CELL_SIZE = 0.25;
+
+export class SpatialIndex {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "i,j" -> Set de itens
+        this.rects = new Map(); // item -> retângulo
+        this.extent = null;     // retângulo que envolve tudo o que já foi inserido
+    }
+
+    get size() {
+        return this.rects.size;
+    }
+
+    // Itens indexados, na ordem de inserção
+    items() {
+        return this.rects.keys();
+    }
+
+    // Executa fn(chave) para cada célula tocada pelo retângulo (bordas inclusas)
+    _forEachCell(rect, fn) {
+        const i0 = Math.floor(rect.minX / this.cellSize);
+        const i1 = Math.floor(rect.maxX / this.cellSize);
+        const j0 = Math.floor(rect.minZ / this.cellSize);
+        const j1 = Math.floor(rect.maxZ / this.cellSize);
+        for (let i = i0; i <= i1; i++) {
+            for (let j = j0; j <= j1; j++) fn(`${i},${j}`);
+        }
+    }
+
+    // Retângulo limitado à área já usada por algum item (para consultas com lados infinitos)
+    _clampToExtent(rect) {
+        const { extent } = this;
+        return {
+            minX: Math.max(rect.minX, extent.minX), maxX: Math.min(rect.maxX, extent.maxX),
+            minZ: Math.max(rect.minZ, extent.minZ), maxZ: Math.min(rect.maxZ, extent.maxZ)
+        };
+    }
+
+    insert(item, rect) {
+        if (this.rects.has(item)) this.remove(item);
+        this.rects.set(item, rect);
+        // Só cresce: basta limitar as consultas, não precisa ser justa
+        this.extent = this.extent ? {
+            minX: Math.min(this.extent.minX, rect.minX), maxX: Math.max(this.extent.maxX, rect.maxX),
+            minZ: Math.min(this.extent.minZ, rect.minZ), maxZ: Math.max(this.extent.maxZ, rect.maxZ)
+        } : { ...rect };
+        this._forEachCell(rect, key => {
+            if (!this.cells.has(key)) this.cells.set(key, new Set());
+            this.cells.get(key).add(item);
+        });
+    }
+
+    remove(item) {
+        const rect = this.rects.get(item);
+        if (!rect) return;
+        this.rects.delete(item);
+        this._forEachCell(rect, key => {
+            const cell = this.cells.get(key);
+            cell.delete(item);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+    }
+
+    clear() {
+        this.cells.clear();
+        this.rects.clear();
+        this.extent = null;
+    }
+
+    /**
+     * Itens cujo retângulo toca ou sobrepõe rect (que pode ter lados infinitos,
+     * como uma faixa até a porta). O teste fino (sobreposição estrita, altura)
+     * continua com quem consulta.
+     */
+    query(rect) {
+        const found = new Set();
+        if (!this.extent) return [];
+        this._forEachCell(this._clampToExtent(rect), key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            for (const item of cell) {
+                const other = this.rects.get(item);
+                if (other.minX <= rect.maxX && other.maxX >= rect.minX &&
+                    other.minZ <= rect.maxZ && other.maxZ >= rect.minZ) {
+                    found.add(item);
+                }
+            }
+        });
+        return [...found];
+    }
+}
@@ -1,4 +1,7 @@
-import { BoxColor } from './box.js';
+import { BoxColor } from './boxData.js';
+import { ORIENTATIONS } from './orientation.js';
+import { footprintAt, rectIntersection, SURFACE_EPSILON } from './support.js';
+import { t } from './i18n.js';
 
 // Hierarquia de cores: RED > GREEN > BLUE
 // Regra: caixa de cor "menor ou igual" pode ficar em cima de cor "maior ou igual"
@@ -30,7 +33,7 @@ export function getStackError(newBox, targetBox) {
 
     const newName = newBox.getColorName();
     const targetName = targetBox.getColorName();
-    return `Caixa ${newName} não pode ser empilhada sobre caixa ${targetName}!`;
+    return t('rules.colorWeight.error', { newName, targetName });
 }
 
 /**
@@ -54,3 +57,229 @@ export function getTopBox(stackedBoxes) {
     if (stackedBoxes.length === 0) return null;
     return stackedBoxes[stackedBoxes.length - 1];
 }
+
+// ========== Motor de regras de empilhamento ==========
+//
+// Cada regra: { id, label, params, paramLabels?, check(ctx, params), validate?(params) }
+//   check devolve null (passou) ou a mensagem de erro.
+//   label e paramLabels passam por t() na exibição: chaves de messages.js ou texto literal.
+//   params são os valores padrão; a configuração da sessão pode sobrescrevê-los.
+// O contexto (buildStackContext) trabalha com itens { box, x, y, z } em coords
+// locais, os mesmos de weight.js.
+
+const RULES = new Map();
+
+export function registerStackingRule(rule) {
+    RULES.set(rule.id, { enabled: true, params: {}, ...rule });
+}
+
+export function getStackingRules() {
+    return [...RULES.values()];
+}
+
+const bottom = item => item.y - item.box.height / 2;
+const top = item => item.y + item.box.height / 2;
+const footprintOf = item => footprintAt(item.x, item.z, item.box);
+
+function overlapsXZ(a, b) {
+    return rectIntersection(footprintOf(a), footprintOf(b)) !== null;
+}
+
+function boxLabel(box) {
+    return box.sku ?? `#${box.id}`;
+}
+
+/**
+ * Monta o contexto de avaliação de newItem contra os itens já posicionados,
+ * indexados em placed (SpatialIndex, ver spatialIndex.js):
+ * {
+ *   item, box,
+ *   topBox      caixa mais alta sob a base (null = piso)
+ *   supporters  itens cujo topo toca a base de newItem
+ *   column      todos os itens abaixo de newItem que se sobrepõem à sua base
+ *   tier        camada de newItem (1 = direto no piso)
+ *   placed      o índice dos itens posicionados, para consultas por vizinhança
+ * }
+ */
+export function buildStackContext(newItem, placed) {
+    const base = bottom(newItem);
+    const column = placed.query(footprintOf(newItem))
+        .filter(other => top(other) <= base + SURFACE_EPSILON && overlapsXZ(newItem, other))
+        .sort((a, b) => bottom(a) - bottom(b));
+    const supporters = column.filter(other => Math.abs(top(other) - base) < SURFACE_EPSILON);
+
+    // Camada de cada item: 1 + a maior camada entre os que o apoiam
+    const tiers = new Map();
+    const tierOf = (item) => {
+        if (!tiers.has(item)) {
+            const below = placed.query(footprintOf(item)).filter(other =>
+                Math.abs(top(other) - bottom(item)) < SURFACE_EPSILON && overlapsXZ(item, other));
+            tiers.set(item, 1 + Math.max(0, ...below.map(tierOf)));
+        }
+        return tiers.get(item);
+    };
+
+    const highest = column.reduce((best, other) => (!best || top(other) > top(best) ? other : best), null);
+
+    return {
+        item: newItem,
+        box: newItem.box,
+        topBox: highest ? highest.box : null,
+        supporters,
+        column,
+        tier: 1 + Math.max(0, ...supporters.map(tierOf)),
+        placed
+    };
+}
+
+/**
+ * Configuração de regras: { [id]: { enabled, ...params } }. Mescla, na ordem,
+ * os padrões de cada regra registrada com as configurações passadas.
+ * Entradas de regras desconhecidas são ignoradas.
+ */
+export function createRulesConfig(...overrides) {
+    const config = {};
+    for (const rule of RULES.values()) {
+        config[rule.id] = { enabled: rule.enabled, ...rule.params };
+        for (const override of overrides) {
+            if (override?.[rule.id]) Object.assign(config[rule.id], override[rule.id]);
+        }
+    }
+    return config;
+}
+
+/**
+ * Primeira mensagem de configuração inválida, ou null.
+ */
+export function getRulesConfigError(config) {
+    for (const rule of RULES.values()) {
+        const error = rule.validate && config[rule.id] ? rule.validate(config[rule.id]) : null;
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Avalia todas as regras habilitadas. Retorna a lista de violações
+ * [{ rule, message }] (vazia se o empilhamento é permitido).
+ */
+export function evaluateStackingRules(ctx, config) {
+    const violations = [];
+    for (const rule of RULES.values()) {
+        const params = config?.[rule.id] ?? { enabled: rule.enabled, ...rule.params };
+        if (!params.enabled) continue;
+        const message = rule.check(ctx, params);
+        if (message) violations.push({ rule: rule.id, message });
+    }
+    return violations;
+}
+
+// Junta as mensagens de todas as violações em um só texto (null se nenhuma)
+export function joinViolations(violations) {
+    return violations.length > 0 ? violations.map(v => v.message).join(' ') : null;
+}
+
+// Normaliza categorias para comparação ("Químico" == "quimico")
+function normalizeCategory(category) {
+    return String(category ?? '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function positiveInteger(value, label) {
+    return Number.isInteger(value) && value > 0 ? null : t('rules.positiveInteger', { label: t(label) });
+}
+
+// ========== Regras embutidas ==========
+
+registerStackingRule({
+    id: 'colorWeight',
+    label: 'rules.colorWeight',
+    check: (ctx) => getStackError(ctx.box, ctx.topBox)
+});
+
+registerStackingRule({
+    id: 'fragile',
+    label: 'rules.fragile',
+    check: (ctx) => {
+        const fragile = ctx.column.find(item => item.box.fragile);
+        return fragile ? t('rules.fragile.error', { box: boxLabel(fragile.box) }) : null;
+    }
+});
+
+registerStackingRule({
+    id: 'thisSideUp',
+    label: 'rules.thisSideUp',
+    check: (ctx) => {
+        const box = ctx.box;
+        const upright = ORIENTATIONS[box.orientation].dims[1] === 'height';
+        return box.thisSideUp && !upright
+            ? t('rules.thisSideUp.error', { box: boxLabel(box) })
+            : null;
+    }
+});
+
+registerStackingRule({
+    id: 'maxTiers',
+    label: 'rules.maxTiers',
+    enabled: false,
+    params: { maxTiers: 4 },
+    paramLabels: { maxTiers: 'rules.maxTiers.param' },
+    validate: (params) => positiveInteger(params.maxTiers, 'rules.maxTiers'),
+    check: (ctx, params) => ctx.tier > params.maxTiers
+        ? t('rules.maxTiers.error', { max: params.maxTiers })
+        : null
+});
+
+registerStackingRule({
+    id: 'maxPerColumn',
+    label: 'rules.maxPerColumn',
+    enabled: false,
+    params: { maxItems: 5 },
+    paramLabels: { maxItems: 'rules.maxPerColumn.param' },
+    validate: (params) => positiveInteger(params.maxItems, 'rules.maxPerColumn'),
+    check: (ctx, params) => ctx.column.length + 1 > params.maxItems
+        ? t('rules.maxPerColumn.error', { max: params.maxItems })
+        : null
+});
+
+registerStackingRule({
+    id: 'segregation',
+    label: 'rules.segregation',
+    // pairs: categorias que não podem se encostar; distance: afastamento mínimo (m)
+    params: { pairs: [['alimento', 'quimico']], distance: 0.05 },
+    paramLabels: { pairs: 'rules.segregation.pairs', distance: 'rules.segregation.distance' },
+    validate: (params) => (params.distance >= 0 ? null : t('rules.segregation.invalidDistance')),
+    check: (ctx, params) => {
+        const category = normalizeCategory(ctx.box.category);
+        if (!category) return null;
+
+        const incompatible = new Set();
+        for (const [a, b] of params.pairs) {
+            if (normalizeCategory(a) === category) incompatible.add(normalizeCategory(b));
+            if (normalizeCategory(b) === category) incompatible.add(normalizeCategory(a));
+        }
+        if (incompatible.size === 0) return null;
+
+        const { item } = ctx;
+        const gap = (minA, maxA, minB, maxB) => Math.max(0, minB - maxA, minA - maxB);
+        const area = footprintOf(item);
+        area.minX -= params.distance;
+        area.maxX += params.distance;
+        area.minZ -= params.distance;
+        area.maxZ += params.distance;
+        const conflict = ctx.placed.query(area).find(other => {
+            if (!incompatible.has(normalizeCategory(other.box.category))) return false;
+            return gap(item.x - item.box.width / 2, item.x + item.box.width / 2,
+                other.x - other.box.width / 2, other.x + other.box.width / 2) < params.distance &&
+                gap(bottom(item), top(item), bottom(other), top(other)) < params.distance &&
+                gap(item.z - item.box.depth / 2, item.z + item.box.depth / 2,
+                    other.z - other.box.depth / 2, other.z + other.box.depth / 2) < params.distance;
+        });
+        return conflict
+            ? t('rules.segregation.error', {
+                category: ctx.box.category,
+                other: conflict.box.category,
+                box: boxLabel(conflict.box)
+            })
+            : null;
+    }
+});
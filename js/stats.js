@@ -0,0 +1,48 @@
+// Estatísticas de ocupação e cubagem da carga.
+// Módulo puro (sem three.js): recebe itens { box, x, y, z } (centro em coords locais).
+
+/**
+ * container: { usableVolume, floorY }
+ * Retorna {
+ *   count, loadedVolume, usableVolume, freeVolume, utilization (0–1),
+ *   byColor: { [colorCategory]: { count, volume } },
+ *   stackHeight (topo mais alto acima do piso), totalMass,
+ *   centerOfGravity: { x, y, z } ou null sem caixas
+ * }
+ */
+export function computeLoadStats(items, container) {
+    const byColor = {};
+    let loadedVolume = 0;
+    let totalMass = 0;
+    let top = container.floorY;
+    const moment = { x: 0, y: 0, z: 0 };
+
+    for (const { box, x, y, z } of items) {
+        loadedVolume += box.volume;
+        totalMass += box.mass;
+        top = Math.max(top, y + box.height / 2);
+
+        moment.x += box.mass * x;
+        moment.y += box.mass * y;
+        moment.z += box.mass * z;
+
+        const group = byColor[box.colorCategory] || (byColor[box.colorCategory] = { count: 0, volume: 0 });
+        group.count++;
+        group.volume += box.volume;
+    }
+
+    const usableVolume = container.usableVolume;
+    return {
+        count: items.length,
+        loadedVolume,
+        usableVolume,
+        freeVolume: Math.max(0, usableVolume - loadedVolume),
+        utilization: usableVolume > 0 ? loadedVolume / usableVolume : 0,
+        byColor,
+        stackHeight: top - container.floorY,
+        totalMass,
+        centerOfGravity: totalMass > 0
+            ? { x: moment.x / totalMass, y: moment.y / totalMass, z: moment.z / totalMass }
+            : null
+    };
+}
@@ -0,0 +1,98 @@
+// Persistência de sessões no localStorage: salvamento automático do estado atual,
+// uma lista de planos nomeados (abrir, duplicar, excluir) e as preferências de
+// interface (idioma e unidades), que não fazem parte do plano.
+//
+// O estado é o objeto montado pelo app: { mode, cubagem, picking }, onde cada
+// módulo contribui com o resultado de serialize().
+
+import { t } from './i18n.js';
+
+const AUTOSAVE_KEY = 'cubagem-picking:autosave';
+const PLANS_KEY = 'cubagem-picking:plans';
+const PREFERENCES_KEY = 'cubagem-picking:preferences';
+const STATE_VERSION = 1;
+
+function readJSON(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+// Retorna false se o navegador recusar a escrita (cota cheia, modo privado...)
+function writeJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export function saveAutosave(state) {
+    return writeJSON(AUTOSAVE_KEY, { version: STATE_VERSION, savedAt: new Date().toISOString(), state });
+}
+
+export function loadAutosave() {
+    const data = readJSON(AUTOSAVE_KEY, null);
+    return data && data.version === STATE_VERSION ? data.state : null;
+}
+
+// { language, unitSystem }; campos ausentes ficam com o padrão do app
+export function savePreferences(preferences) {
+    return writeJSON(PREFERENCES_KEY, preferences);
+}
+
+export function loadPreferences() {
+    return readJSON(PREFERENCES_KEY, {});
+}
+
+// ========== Planos nomeados ==========
+
+function readPlans() {
+    const plans = readJSON(PLANS_KEY, []);
+    return Array.isArray(plans) ? plans.filter(p => p.version === STATE_VERSION) : [];
+}
+
+/**
+ * Lista resumida, mais recentes primeiro: [{ id, name, savedAt }]
+ */
+export function listPlans() {
+    return readPlans()
+        .map(({ id, name, savedAt }) => ({ id, name, savedAt }))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+export function savePlan(name, state) {
+    const plans = readPlans();
+    const plan = {
+        id: newId(),
+        name: name.trim() || t('plans.unnamed'),
+        version: STATE_VERSION,
+        savedAt: new Date().toISOString(),
+        state
+    };
+    plans.push(plan);
+    return writeJSON(PLANS_KEY, plans) ? plan : null;
+}
+
+export function loadPlan(id) {
+    const plan = readPlans().find(p => p.id === id);
+    return plan ? plan.state : null;
+}
+
+export function duplicatePlan(id) {
+    const original = readPlans().find(p => p.id === id);
+    if (!original) return null;
+    return savePlan(t('plans.copyName', { name: original.name }), original.state);
+}
+
+export function deletePlan(id) {
+    return writeJSON(PLANS_KEY, readPlans().filter(p => p.id !== id));
+}
@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+
+const GHOST_COLOR = 0x00e5ff;
+const ALTERNATIVE_COLOR = 0xffffff;
+
+// Caixa e contorno de base unitários, escalados para cada sugestão
+const UNIT_BOX = new THREE.BoxGeometry(1, 1, 1);
+const UNIT_EDGES = new THREE.EdgesGeometry(UNIT_BOX);
+const UNIT_OUTLINE = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(-0.5, 0, -0.5),
+    new THREE.Vector3(0.5, 0, -0.5),
+    new THREE.Vector3(0.5, 0, 0.5),
+    new THREE.Vector3(-0.5, 0, 0.5)
+]);
+
+/**
+ * Sugestão de posição para a caixa em mão: uma caixa fantasma no melhor lugar e
+ * o contorno da base nas alternativas seguintes. Vive em coords locais do container.
+ */
+export class SuggestionMarkers {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        this.ghost = new THREE.Mesh(UNIT_BOX, new THREE.MeshBasicMaterial({
+            color: GHOST_COLOR,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false
+        }));
+        this.ghost.add(new THREE.LineSegments(UNIT_EDGES, new THREE.LineBasicMaterial({ color: GHOST_COLOR })));
+        this.group.add(this.ghost);
+
+        this.outlineMat = new THREE.LineBasicMaterial({ color: ALTERNATIVE_COLOR, depthTest: false });
+        this.outlines = [];
+    }
+
+    /**
+     * box: caixa em mão (extensões da orientação atual); suggestions: resultados de
+     * LoadPlan.suggest, o primeiro é o melhor.
+     */
+    update(box, suggestions) {
+        if (suggestions.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.group.visible = true;
+        const [best, ...alternatives] = suggestions;
+        this.ghost.position.set(best.x, best.stackY, best.z);
+        this.ghost.scale.set(box.width, box.height, box.depth);
+
+        while (this.outlines.length < alternatives.length) {
+            const outline = new THREE.LineLoop(UNIT_OUTLINE, this.outlineMat);
+            outline.renderOrder = 1;
+            this.outlines.push(outline);
+            this.group.add(outline);
+        }
+        this.outlines.forEach((outline, i) => {
+            const suggestion = alternatives[i];
+            outline.visible = !!suggestion;
+            if (!suggestion) return;
+            outline.position.set(suggestion.x, suggestion.stackY - box.height / 2 + 0.004, suggestion.z);
+            outline.scale.set(box.width, 1, box.depth);
+        });
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+}
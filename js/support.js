@@ -0,0 +1,140 @@
+// Verificação estática de apoio: quanto da base de uma caixa está apoiada
+// e se o centro de massa cai dentro do polígono de apoio.
+// Módulo puro (sem three.js): trabalha com retângulos no plano XZ local.
+
+import { t, formatPercent } from './i18n.js';
+
+// Tolerância (m) para considerar duas superfícies na mesma altura
+export const SURFACE_EPSILON = 0.001;
+
+// Valores padrão de configuração
+export const DEFAULT_MIN_SUPPORT_RATIO = 0.7;
+export const SupportMode = {
+    REJECT: 'reject', // bloqueia o posicionamento
+    WARN: 'warn'      // permite, mas avisa
+};
+
+/**
+ * Retângulo ocupado por uma caixa de extensões (width, depth) centrada em (x, z).
+ */
+export function footprintAt(x, z, box) {
+    return {
+        minX: x - box.width / 2,
+        maxX: x + box.width / 2,
+        minZ: z - box.depth / 2,
+        maxZ: z + box.depth / 2
+    };
+}
+
+export function rectArea(rect) {
+    return Math.max(0, rect.maxX - rect.minX) * Math.max(0, rect.maxZ - rect.minZ);
+}
+
+/**
+ * Interseção de dois retângulos, ou null se não houver área em comum.
+ * Faixas mais estreitas que SURFACE_EPSILON (caixas que só se encostam, com
+ * erro de arredondamento) não contam como interseção.
+ */
+export function rectIntersection(a, b) {
+    const rect = {
+        minX: Math.max(a.minX, b.minX),
+        maxX: Math.min(a.maxX, b.maxX),
+        minZ: Math.max(a.minZ, b.minZ),
+        maxZ: Math.min(a.maxZ, b.maxZ)
+    };
+    if (rect.maxX - rect.minX <= SURFACE_EPSILON || rect.maxZ - rect.minZ <= SURFACE_EPSILON) return null;
+    return rect;
+}
+
+// Envoltória convexa (monotone chain) de uma lista de pontos { x, z }
+function convexHull(points) {
+    const pts = [...points].sort((a, b) => a.x - b.x || a.z - b.z);
+    if (pts.length <= 2) return pts;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const lower = [];
+    for (const p of pts) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+            lower.pop();
+        }
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = pts.length - 1; i >= 0; i--) {
+        const p = pts[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+            upper.pop();
+        }
+        upper.push(p);
+    }
+    upper.pop();
+    lower.pop();
+    return lower.concat(upper);
+}
+
+// Ponto dentro (ou na borda) de um polígono convexo em sentido anti-horário
+function pointInConvexPolygon(point, polygon) {
+    if (polygon.length < 3) return false;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const cross = (b.x - a.x) * (point.z - a.z) - (b.z - a.z) * (point.x - a.x);
+        if (cross < -1e-9) return false;
+    }
+    return true;
+}
+
+/**
+ * Calcula o apoio de uma base retangular sobre um conjunto de superfícies.
+ * footprint: retângulo da base da caixa.
+ * surfaces: retângulos (topos de caixas ou piso) na mesma altura da base.
+ * Retorna { ratio, centerSupported, regions, polygon }.
+ */
+export function computeSupport(footprint, surfaces) {
+    const regions = [];
+    for (const surface of surfaces) {
+        const region = rectIntersection(footprint, surface);
+        if (region) regions.push(region);
+    }
+
+    const total = rectArea(footprint);
+    const supported = regions.reduce((sum, r) => sum + rectArea(r), 0);
+    const ratio = total > 0 ? Math.min(1, supported / total) : 0;
+
+    const corners = [];
+    for (const r of regions) {
+        corners.push(
+            { x: r.minX, z: r.minZ }, { x: r.maxX, z: r.minZ },
+            { x: r.maxX, z: r.maxZ }, { x: r.minX, z: r.maxZ }
+        );
+    }
+    const polygon = convexHull(corners);
+    const center = {
+        x: (footprint.minX + footprint.maxX) / 2,
+        z: (footprint.minZ + footprint.maxZ) / 2
+    };
+
+    return {
+        ratio,
+        centerSupported: pointInConvexPolygon(center, polygon),
+        regions,
+        polygon
+    };
+}
+
+/**
+ * Retorna mensagem de erro quando o apoio é insuficiente, ou null.
+ */
+export function getSupportError(support, minRatio) {
+    if (!support) return null;
+    if (support.ratio < minRatio) {
+        return t('support.insufficient', {
+            pct: formatPercent(support.ratio, 0),
+            minPct: formatPercent(minRatio, 0)
+        });
+    }
+    if (!support.centerSupported) {
+        return t('support.centerOutside');
+    }
+    return null;
+}
@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+
+// Plano unitário deitado no XZ, escalado para cada retângulo
+const PLANE_GEOMETRY = new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2);
+
+const UNSUPPORTED_COLOR = 0xff3030;
+const SUPPORTED_COLOR = 0x2ecc71;
+
+/**
+ * Mostra sob a caixa em preview a região sem apoio (vermelho)
+ * e as regiões apoiadas (verde). Vive em coords locais do container.
+ */
+export class SupportIndicator {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        this.footprint = new THREE.Mesh(PLANE_GEOMETRY, new THREE.MeshBasicMaterial({
+            color: UNSUPPORTED_COLOR,
+            transparent: true,
+            opacity: 0.45,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        }));
+        this.group.add(this.footprint);
+
+        this.supportedMat = new THREE.MeshBasicMaterial({
+            color: SUPPORTED_COLOR,
+            transparent: true,
+            opacity: 0.55,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        this.regionMeshes = [];
+    }
+
+    _placeRect(mesh, rect, y) {
+        mesh.position.set((rect.minX + rect.maxX) / 2, y, (rect.minZ + rect.maxZ) / 2);
+        mesh.scale.set(rect.maxX - rect.minX, 1, rect.maxZ - rect.minZ);
+    }
+
+    /**
+     * footprint: retângulo da base; baseY: altura da base; support: resultado de computeSupport.
+     * Só aparece quando a base não está totalmente apoiada.
+     */
+    update(footprint, baseY, support) {
+        if (!support || support.ratio >= 0.999) {
+            this.hide();
+            return;
+        }
+
+        this.group.visible = true;
+        this._placeRect(this.footprint, footprint, baseY + 0.002);
+
+        while (this.regionMeshes.length < support.regions.length) {
+            const mesh = new THREE.Mesh(PLANE_GEOMETRY, this.supportedMat);
+            this.regionMeshes.push(mesh);
+            this.group.add(mesh);
+        }
+        this.regionMeshes.forEach((mesh, i) => {
+            const region = support.regions[i];
+            mesh.visible = !!region;
+            if (region) this._placeRect(mesh, region, baseY + 0.003);
+        });
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+}
@@ -0,0 +1,141 @@
+// Distribuição de peso em pilhas: quanto cada caixa sustenta das que estão acima.
+// Módulo puro (sem three.js): trabalha com itens { box, x, y, z } em coords locais,
+// onde (x, y, z) é o centro da caixa.
+
+import { footprintAt, rectIntersection, rectArea, SURFACE_EPSILON } from './support.js';
+import { SpatialIndex } from './spatialIndex.js';
+import { t, formatMass } from './i18n.js';
+
+export const DEFAULT_PALLET_PAYLOAD = 500; // kg
+export const DEFAULT_TRUCK_PAYLOAD = 800;  // kg
+
+export function makeLoadItem(box, x, y, z) {
+    return { box, x, y, z };
+}
+
+const bottom = item => item.y - item.box.height / 2;
+const top = item => item.y + item.box.height / 2;
+const footprintOf = item => footprintAt(item.x, item.z, item.box);
+
+// Itens de index em contato com a base (side = 'below') ou o topo ('above') de item
+function findContacts(item, index, side) {
+    const rect = footprintOf(item);
+    const level = side === 'below' ? bottom(item) : top(item);
+    const face = side === 'below' ? top : bottom;
+    return index.query(rect).filter(other => other !== item &&
+        Math.abs(face(other) - level) < SURFACE_EPSILON &&
+        rectIntersection(rect, footprintOf(other)) !== null);
+}
+
+/**
+ * Calcula a carga (kg) apoiada sobre cada item.
+ * O peso de cada caixa (mais o que ela sustenta) é repartido entre as caixas
+ * logo abaixo, proporcionalmente à área de contato. O que não encontra caixa
+ * abaixo vai para o piso.
+ * index: SpatialIndex já montado com os itens. Pode ter outros: eles dividem o peso
+ * mas ficam fora do resultado, e tudo o que pesa sobre items precisa estar em items.
+ * Retorna um Map item -> carga sobre ele.
+ */
+export function computeLoads(items, index = null) {
+    const loads = new Map(items.map(item => [item, 0]));
+
+    const footprints = new Map(items.map(item => [item, footprintOf(item)]));
+    if (!index) {
+        index = new SpatialIndex();
+        for (const [item, rect] of footprints) index.insert(item, rect);
+    }
+
+    // De cima para baixo: quando um item é processado, tudo acima já transmitiu peso
+    const sorted = [...items].sort((a, b) => bottom(b) - bottom(a));
+
+    for (const item of sorted) {
+        const transmitted = item.box.mass + loads.get(item);
+        const rect = footprints.get(item);
+
+        const contacts = [];
+        let contactArea = 0;
+        for (const other of index.query(rect)) {
+            if (other === item) continue;
+            if (Math.abs(top(other) - bottom(item)) >= SURFACE_EPSILON) continue;
+            const overlap = rectIntersection(rect, footprints.get(other) ?? footprintOf(other));
+            if (!overlap) continue;
+            const area = rectArea(overlap);
+            contacts.push({ other, area });
+            contactArea += area;
+        }
+
+        // Itens do índice fora de items recebem peso, mas não entram no resultado
+        for (const { other, area } of contacts) {
+            if (loads.has(other)) loads.set(other, loads.get(other) + transmitted * area / contactArea);
+        }
+    }
+
+    return loads;
+}
+
+/**
+ * Lista os itens cuja carga apoiada excede o limite (box.maxLoad).
+ * index: como em computeLoads.
+ */
+export function findOverloads(items, index = null) {
+    const loads = computeLoads(items, index);
+    const overloads = [];
+    for (const [item, load] of loads) {
+        if (load > item.box.maxLoad) {
+            overloads.push({ item, load, limit: item.box.maxLoad });
+        }
+    }
+    return overloads;
+}
+
+export function totalMass(boxes) {
+    return boxes.reduce((sum, box) => sum + box.mass, 0);
+}
+
+/**
+ * Itens cuja carga muda com o acréscimo de newItem: os que o sustentam, direta ou
+ * indiretamente, e tudo o que se apoia neles (que também pesa sobre eles).
+ */
+function collectLoadRegion(newItem, index) {
+    const below = [newItem];
+    for (let i = 0; i < below.length; i++) {
+        for (const other of findContacts(below[i], index, 'below')) {
+            if (!below.includes(other)) below.push(other);
+        }
+    }
+    const region = new Set(below);
+    const pending = below.slice(1);
+    while (pending.length > 0) {
+        for (const other of findContacts(pending.pop(), index, 'above')) {
+            if (!region.has(other)) {
+                region.add(other);
+                pending.push(other);
+            }
+        }
+    }
+    return [...region];
+}
+
+/**
+ * Valida o acréscimo de newItem sobre os itens já posicionados, indexados em
+ * placed (SpatialIndex). Retorna mensagem de erro (esmagamento ou carga total) ou null.
+ */
+export function getLoadError(newItem, placed, maxPayload) {
+    let total = newItem.box.mass;
+    for (const item of placed.items()) total += item.box.mass;
+    if (total > maxPayload) {
+        return t('load.payloadExceeded', { total: formatMass(total), max: formatMass(maxPayload, 0) });
+    }
+
+    // Só a região apoiada por baixo de newItem muda de carga
+    const overloads = findOverloads(collectLoadRegion(newItem, placed), placed);
+    if (overloads.length > 0) {
+        const { item, load, limit } = overloads[0];
+        return t('load.crushed', {
+            color: item.box.getColorName(),
+            load: formatMass(load),
+            limit: formatMass(limit)
+        });
+    }
+    return null;
+}
@@ -0,0 +1,54 @@
+// Testes do modelo de plano de carga, sem navegador: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LoadPlan, ContainerKind } from '../js/loadPlan.js';
+import { BoxData } from '../js/boxData.js';
+
+function createTruck(width, depth, maxHeight) {
+    return new LoadPlan({ kind: ContainerKind.TRUCK, width, depth, floorY: 0, maxHeight, maxPayload: 1e6 });
+}
+
+function createCubes(count, size) {
+    return Array.from({ length: count }, () => new BoxData(size, size, size, { mass: 5 }));
+}
+
+test('autoArrange enche o container com cubos iguais', () => {
+    // 4 x 8 x 3 cubos de 0,3 m ocupam o container inteiro
+    const plan = createTruck(1.2, 2.4, 0.9);
+    const { placed, unplaced } = plan.autoArrange(createCubes(96, 0.3));
+
+    assert.equal(unplaced.length, 0);
+    assert.equal(placed.length, 96);
+    assert.equal(plan.validate().length, 0);
+});
+
+test('autoArrange não perde cubos por encostos com erro de arredondamento', () => {
+    const plan = createTruck(2.35, 12.03, 2.39);
+    const { unplaced } = plan.autoArrange(createCubes(600, 0.3));
+    assert.equal(unplaced.length, 0);
+});
+
+test('caixa encostada na lateral de outra fica no piso', () => {
+    const plan = createTruck(2.35, 12.03, 2.39);
+    const [first, second] = createCubes(2, 0.3);
+    // Coordenadas como saem da soma de meias larguras no autoArrange
+    plan.tryPlace(first, -1.025, -4.064999999999995);
+
+    const result = plan.evaluate(second, -1.025, -3.7649999999999952);
+    assert.equal(result.error, null);
+    assert.equal(result.topBox, null);
+    assert.equal(result.stackY, 0.15);
+});
+
+test('evaluate acusa esmagamento de uma caixa abaixo da que sustenta a nova', () => {
+    const plan = createTruck(2.35, 12.03, 2.39);
+    const bottom = new BoxData(0.4, 0.3, 0.4, { mass: 5, maxLoad: 12 });
+    const middle = new BoxData(0.4, 0.3, 0.4, { mass: 5 });
+    plan.tryPlace(bottom, 0, 0);
+    plan.tryPlace(middle, 0, 0);
+
+    assert.equal(plan.evaluate(new BoxData(0.4, 0.3, 0.4, { mass: 5 }), 0, 0).error, null);
+    assert.match(plan.evaluate(new BoxData(0.4, 0.3, 0.4, { mass: 10 }), 0, 0).error, /12/);
+});
@@ -0,0 +1,46 @@
+// Testes do encaixe do preview contra a validação do plano: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LoadPlan, ContainerKind } from '../js/loadPlan.js';
+import { BoxData } from '../js/boxData.js';
+import { snapPosition, DEFAULT_SNAP_SETTINGS, SnapKind } from '../js/snapping.js';
+import { SURFACE_EPSILON } from '../js/support.js';
+
+const SIZES = [[0.3, 0.2, 0.4], [0.27, 0.33, 0.19], [0.41, 0.17, 0.23]];
+
+test('posição encaixada na face de uma vizinha fica na mesma altura que ela', () => {
+    const plan = new LoadPlan({
+        kind: ContainerKind.PALLET, width: 1.2, depth: 1.0, floorY: 0.144, maxHeight: 1.8, maxPayload: 1e6
+    });
+    const distance = DEFAULT_SNAP_SETTINGS.distance;
+
+    for (let i = 0; i < 60; i++) {
+        plan.clear();
+        const [w, h, d] = SIZES[i % SIZES.length];
+        const neighbour = new BoxData(w, h, d, { mass: 5 });
+        // Vizinha na metade -X, para a caixa solta ao lado caber sem ser limitada
+        const nx = -0.45 + (i % 7) * 0.0331;
+        const nz = -0.2 + (i % 5) * 0.0917;
+        const placed = plan.tryPlace(neighbour, nx, nz).placement;
+
+        const box = new BoxData(...SIZES[(i + 1) % SIZES.length], { mass: 5 });
+        // Solta a caixa perto da face +X da vizinha, a menos da distância de encaixe
+        const offset = distance * ((i % 9) / 9 - 0.5);
+        const x = placed.x + neighbour.width / 2 + box.width / 2 + offset;
+        const z = placed.z + (i % 3 - 1) * 0.05;
+
+        const snap = snapPosition(x, z, box.width / 2, box.depth / 2, {
+            bounds: plan.getFloorRect(),
+            neighbours: plan.getNeighbourFootprints(x, z, box, distance),
+            settings: { walls: false }
+        });
+        assert.ok(snap.guides.some(g => g.axis === 'x' && g.kind === SnapKind.BOX), `caso ${i}: não encaixou`);
+
+        const result = plan.evaluate(box, snap.x, snap.z);
+        const base = result.stackY - box.height / 2;
+        assert.equal(result.topBox, null, `caso ${i}: subiu na vizinha`);
+        assert.ok(Math.abs(base - (placed.y - neighbour.height / 2)) < SURFACE_EPSILON, `caso ${i}`);
+    }
+});